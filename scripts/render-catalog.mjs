@@ -0,0 +1,144 @@
+/**
+ * 🖨️ 批次繪製投影目錄 (Render Projection Catalog)
+ *
+ * 不開啟瀏覽器，以 src/utils/mapRenderer.js 的 renderMapSvg 將投影目錄中的每個投影
+ * 繪製為 SVG 檔，並輸出 catalog.json 記錄檔名與投影資料。
+ *
+ * 用法：
+ *   npm run render:catalog -- [選項]
+ *
+ * 選項：
+ *   --out <目錄>              輸出目錄（預設 renders）
+ *   --width <px>              寬度（預設 1600）
+ *   --height <px>             高度（預設 1000）
+ *   --projections <ID,...>    只繪製指定的投影（預設全部）
+ *   --highlight <代碼,...>    突顯國家的 ADM0_A3 代碼，依序使用預設的突顯顏色
+ *   --region <屬性:名稱>      焦點檢視：只畫區域內的國家並縮放到區域，例如 CONTINENT:Asia；
+ *                             圓錐投影的標準緯線依區域範圍以 1/6 法則計算
+ *   --center <經度,緯度[,γ]>  地圖中心（焦點檢視預設為區域形心）
+ *   --graticule               繪製 10° 經緯網（每 30° 為主線）
+ *   --no-title                不在左上角標示投影名稱
+ *
+ * 需要 Node 20.19 以上（src/utils 的 ES module 以 .js 副檔名載入）。
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { renderMapSvg } from '../src/utils/mapRenderer.js';
+import { PROJECTIONS, getProjectionDefinition } from '../src/utils/projectionRegistry.js';
+import { HIGHLIGHT_COLORS } from '../src/utils/countries.js';
+import {
+  REGION_KEYS,
+  getFocusCenter,
+  getFocusFeatures,
+  getFocusGeometry,
+  getRegionalParallels,
+  normalizeFocusTarget,
+} from '../src/utils/region.js';
+import { normalizeCenter } from '../src/utils/utils.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const WORLD_DATA = join(ROOT, 'public/data/ne_110m_admin_0_countries.geojson');
+
+const { values } = parseArgs({
+  options: {
+    out: { type: 'string', default: 'renders' },
+    width: { type: 'string', default: '1600' },
+    height: { type: 'string', default: '1000' },
+    projections: { type: 'string' },
+    highlight: { type: 'string', default: '' },
+    region: { type: 'string' },
+    center: { type: 'string' },
+    graticule: { type: 'boolean', default: false },
+    'no-title': { type: 'boolean', default: false },
+  },
+});
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+const width = Number(values.width);
+const height = Number(values.height);
+if (!(width > 0 && height > 0)) fail('寬度與高度必須是正數');
+
+const ids = values.projections
+  ? values.projections.split(',').map((id) => id.trim())
+  : PROJECTIONS.map((projection) => projection.id);
+const unknown = ids.filter((id) => !getProjectionDefinition(id));
+if (unknown.length) fail(`找不到投影類型: ${unknown.join(', ')}`);
+
+const highlightCodes = values.highlight
+  .split(',')
+  .map((code) => code.trim().toUpperCase())
+  .filter(Boolean);
+const highlight = Object.fromEntries(
+  highlightCodes.map((code, index) => [code, HIGHLIGHT_COLORS[index % HIGHLIGHT_COLORS.length]])
+);
+
+const world = JSON.parse(await readFile(WORLD_DATA, 'utf8'));
+let features = world.features;
+let focus = null;
+
+if (values.region) {
+  const [key, ...rest] = values.region.split(':');
+  const target = normalizeFocusTarget({ type: 'region', key, value: rest.join(':') });
+  if (!target) fail(`--region 格式應為 ${Object.keys(REGION_KEYS).join(' 或 ')}:名稱`);
+  const geometry = getFocusGeometry(features, target);
+  if (!geometry) fail(`區域 ${values.region} 沒有任何國家`);
+  focus = { geometry, parallels: getRegionalParallels(geometry) };
+  features = getFocusFeatures(features, target);
+}
+
+const center = values.center
+  ? normalizeCenter(values.center.split(',').map(Number))
+  : focus
+    ? normalizeCenter([...getFocusCenter(focus.geometry), 0])
+    : [0, 0, 0];
+if (!center) fail('--center 格式應為 經度,緯度[,γ]');
+
+const outDir = resolve(ROOT, values.out);
+await mkdir(outDir, { recursive: true });
+
+const catalog = [];
+for (const id of ids) {
+  const definition = getProjectionDefinition(id);
+  const params =
+    focus && definition.supports.parallels ? { parallels: focus.parallels } : undefined;
+  const svg = renderMapSvg(
+    features,
+    {
+      id,
+      params,
+      rotation: [-center[0], -center[1], center[2]],
+      viewMode: focus ? 'focus' : 'world',
+      fitTarget: focus?.geometry,
+    },
+    { width, height },
+    {
+      highlight,
+      graticule: values.graticule ? { step: 10, majorStep: 30 } : null,
+      title: values['no-title'] ? null : definition.name,
+    }
+  );
+  const file = `${id}.svg`;
+  await writeFile(join(outDir, file), svg);
+  catalog.push({
+    id,
+    name: definition.name,
+    file,
+    properties: definition.properties,
+    family: definition.family,
+  });
+  console.log(`✅ ${file}`);
+}
+
+await writeFile(
+  join(outDir, 'catalog.json'),
+  `${JSON.stringify({ width, height, center, region: values.region || null, projections: catalog }, null, 2)}\n`
+);
+console.log(`🎉 已繪製 ${catalog.length} 個投影到 ${outDir}`);
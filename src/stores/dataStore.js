@@ -7,7 +7,117 @@
 
 // 核心依賴
 import { defineStore } from 'pinia';
-import { ref, computed } from 'vue';
+import { ref, computed, watch, markRaw } from 'vue';
+import { normalizeCenter } from '@/utils/utils.js';
+import {
+  PROJECTIONS,
+  getProjectionDefinition,
+  sanitizeProjectionParameters,
+} from '@/utils/projectionRegistry.js';
+import { HIGHLIGHT_COLORS, getCountryCode } from '@/utils/countries.js';
+import { SURFACE_FAMILIES } from '@/utils/projectionMetadata.js';
+import { normalizeLayout } from '@/utils/layoutComposer.js';
+
+// 使用者自訂地圖中心的 localStorage 鍵值
+const CUSTOM_CENTERS_STORAGE_KEY = '30daymapchallenge-19:customCenters';
+
+// 突顯國家的 localStorage 鍵值
+const HIGHLIGHT_COUNTRIES_STORAGE_KEY = '30daymapchallenge-19:highlightCountries';
+
+// 常用投影的 localStorage 鍵值
+const FAVORITE_PROJECTIONS_STORAGE_KEY = '30daymapchallenge-19:favoriteProjections';
+
+// 版面範本的 localStorage 鍵值
+const LAYOUT_TEMPLATES_STORAGE_KEY = '30daymapchallenge-19:layoutTemplates';
+
+// 預設突顯的國家
+const DEFAULT_HIGHLIGHT_COUNTRIES = [{ code: 'TWN', name: '臺灣', color: HIGHLIGHT_COLORS[0] }];
+
+// 使用者圖層的預設填色，依加入順序輪流使用
+const USER_LAYER_COLORS = ['#e15759', '#4e79a7', '#59a14f', '#f28e2b', '#b07aa1', '#76b7b2'];
+
+/**
+ * 📥 讀取已儲存的自訂地圖中心
+ * @returns {Array<{name: string, center: Array<number>}>} 無資料或格式錯誤時回傳空陣列
+ */
+const loadCustomCenters = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(CUSTOM_CENTERS_STORAGE_KEY) || '[]');
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .map((item) => ({
+        name: String(item?.name || '').trim(),
+        center: normalizeCenter(item?.center),
+      }))
+      .filter((item) => item.name && item.center);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('⚠️ 無法讀取自訂地圖中心:', error);
+    return [];
+  }
+};
+
+/**
+ * 📥 讀取已儲存的突顯國家
+ * @returns {Array<{code: string, name: string, color: string}>} 無資料或格式錯誤時回傳預設值（台灣）
+ */
+const loadHighlightCountries = () => {
+  try {
+    const stored = localStorage.getItem(HIGHLIGHT_COUNTRIES_STORAGE_KEY);
+    if (stored === null) return DEFAULT_HIGHLIGHT_COUNTRIES;
+    const parsed = JSON.parse(stored);
+    if (!Array.isArray(parsed)) return DEFAULT_HIGHLIGHT_COUNTRIES;
+    return parsed
+      .map((item) => ({
+        code: String(item?.code || '').trim(),
+        name: String(item?.name || item?.code || '').trim(),
+        color: /^#[0-9a-f]{6}$/i.test(item?.color) ? item.color : HIGHLIGHT_COLORS[0],
+      }))
+      .filter((item) => item.code);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('⚠️ 無法讀取突顯國家:', error);
+    return DEFAULT_HIGHLIGHT_COUNTRIES;
+  }
+};
+
+/**
+ * 📥 讀取已儲存的常用投影
+ * @returns {Array<string>} 投影 ID；無資料或格式錯誤時回傳空陣列
+ */
+const loadFavoriteProjections = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(FAVORITE_PROJECTIONS_STORAGE_KEY) || '[]');
+    if (!Array.isArray(parsed)) return [];
+    const known = new Set(PROJECTIONS.map((definition) => definition.id));
+    return parsed.filter((id) => known.has(id));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('⚠️ 無法讀取常用投影:', error);
+    return [];
+  }
+};
+
+/**
+ * 📥 讀取已儲存的版面範本
+ * @returns {Array<{name: string, layout: Object}>} 無資料或格式錯誤時回傳空陣列
+ */
+const loadLayoutTemplates = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(LAYOUT_TEMPLATES_STORAGE_KEY) || '[]');
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .map((item) => ({
+        name: String(item?.name || '').trim(),
+        layout: normalizeLayout(item?.layout),
+      }))
+      .filter((item) => item.name);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('⚠️ 無法讀取版面範本:', error);
+    return [];
+  }
+};
 
 /**
  * 🏪 數據存儲商店定義 (Data Store Definition)
@@ -23,756 +133,156 @@ export const useDataStore = defineStore(
     /**
      * 🗺️ 投影類型配置數據 (Projection Type Configuration Data)
      *
-     * 定義所有可用的地圖投影類型，採用分組結構組織，每個投影包含完整的配置信息。
-     * 使用 ref 創建響應式數據，當投影類型改變時會自動更新相關 UI 組件。
+     * 由投影註冊表 (utils/projectionRegistry.js) 產生，採用分組結構組織。
+     * 新增或修改投影只需要編輯註冊表，圖層清單與 MapTab 的投影建立會自動同步。
      *
      * 📋 投影結構說明：
+     * - groupKey: 投影面（SURFACE_FAMILIES 的鍵值），依投影面分組
      * - groupName: 投影組名稱，用於 UI 分組顯示
      * - groupLayers: 該組下的所有投影列表
      *   - layerId: 投影唯一標識符
      *   - layerName: 投影顯示名稱
-     *   - type: D3.js 投影類型名稱
+     *   - type: 投影註冊表中的投影類型
      *   - scale: 投影縮放比例
+     *   - shape: 投影外形
+     *   - properties: 投影性質（等積、正形、等距、折衷）
+     *   - family: 投影面
+     *   - inventor: 發明者
+     *   - year: 發表年份
      */
-    const layers = ref([
-      {
-        // 🌍 地圖投影類型集合
-        groupName: '地圖投影',
-        groupLayers: [
-          {
-            layerId: 'AzimuthalEqualArea',
-            layerName: 'Azimuthal Equal Area',
-            type: 'AzimuthalEqualArea',
-            scale: 100,
-            shape: '圓形',
-          },
-          {
-            layerId: 'AzimuthalEquidistant',
-            layerName: 'Azimuthal Equidistant',
-            type: 'AzimuthalEquidistant',
-            scale: 80,
-            shape: '圓形',
-          },
-          {
-            layerId: 'Gnomonic',
-            layerName: 'Gnomonic',
-            type: 'Gnomonic',
-            scale: 100,
-            shape: '圓形',
-          },
-          {
-            layerId: 'Orthographic',
-            layerName: 'Orthographic',
-            type: 'Orthographic',
-            scale: 160,
-            shape: '圓形',
-          },
-          {
-            layerId: 'Stereographic',
-            layerName: 'Stereographic',
-            type: 'Stereographic',
-            scale: 80,
-            shape: '圓形',
-          },
-          {
-            layerId: 'Albers',
-            layerName: 'Albers',
-            type: 'Albers',
-            scale: 120,
-            shape: '扇形',
-          },
-          {
-            layerId: 'ConicConformal',
-            layerName: 'Conic Conformal',
-            type: 'ConicConformal',
-            scale: 100,
-            shape: '扇形',
-          },
-          {
-            layerId: 'ConicEqualArea',
-            layerName: 'Conic Equal Area',
-            type: 'ConicEqualArea',
-            scale: 100,
-            shape: '扇形',
-          },
-          {
-            layerId: 'ConicEquidistant',
-            layerName: 'Conic Equidistant',
-            type: 'ConicEquidistant',
-            scale: 100,
-            shape: '扇形',
-          },
-          {
-            layerId: 'Equirectangular',
-            layerName: 'Equirectangular',
-            type: 'Equirectangular',
-            scale: 80,
-            shape: '矩形',
-          },
-          {
-            layerId: 'Mercator',
-            layerName: 'Mercator',
-            type: 'Mercator',
-            scale: 70,
-            shape: '矩形',
-          },
-          {
-            layerId: 'TransverseMercator',
-            layerName: 'Transverse Mercator',
-            type: 'TransverseMercator',
-            scale: 70,
-            shape: '矩形',
-          },
-          {
-            layerId: 'NaturalEarth',
-            layerName: 'Natural Earth',
-            type: 'NaturalEarth',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Airy',
-            layerName: 'Airy',
-            type: 'Airy',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Aitoff',
-            layerName: 'Aitoff',
-            type: 'Aitoff',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Armadillo',
-            layerName: 'Armadillo',
-            type: 'Armadillo',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'August',
-            layerName: 'August',
-            type: 'August',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Baker',
-            layerName: 'Baker',
-            type: 'Baker',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Berghaus',
-            layerName: 'Berghaus',
-            type: 'Berghaus',
-            scale: 100,
-            shape: '圓形',
-          },
-          {
-            layerId: 'Bertin1953',
-            layerName: 'Bertin 1953',
-            type: 'Bertin1953',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Boggs',
-            layerName: 'Boggs',
-            type: 'Boggs',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Bonne',
-            layerName: 'Bonne',
-            type: 'Bonne',
-            scale: 100,
-            shape: '心形',
-          },
-          {
-            layerId: 'Bottomley',
-            layerName: 'Bottomley',
-            type: 'Bottomley',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Bromley',
-            layerName: 'Bromley',
-            type: 'Bromley',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Chamberlin',
-            layerName: 'Chamberlin',
-            type: 'Chamberlin',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'ChamberlinAfrica',
-            layerName: 'Chamberlin Africa',
-            type: 'ChamberlinAfrica',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Collignon',
-            layerName: 'Collignon',
-            type: 'Collignon',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'Craig',
-            layerName: 'Craig',
-            type: 'Craig',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Craster',
-            layerName: 'Craster Parabolic',
-            type: 'Craster',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'CylindricalEqualArea',
-            layerName: 'Cylindrical Equal Area',
-            type: 'CylindricalEqualArea',
-            scale: 100,
-            shape: '矩形',
-          },
-          {
-            layerId: 'CylindricalStereographic',
-            layerName: 'Cylindrical Stereographic',
-            type: 'CylindricalStereographic',
-            scale: 100,
-            shape: '矩形',
-          },
-          {
-            layerId: 'Eckert1',
-            layerName: 'Eckert I',
-            type: 'Eckert1',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Eckert2',
-            layerName: 'Eckert II',
-            type: 'Eckert2',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Eckert3',
-            layerName: 'Eckert III',
-            type: 'Eckert3',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Eckert4',
-            layerName: 'Eckert IV',
-            type: 'Eckert4',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Eckert5',
-            layerName: 'Eckert V',
-            type: 'Eckert5',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Eckert6',
-            layerName: 'Eckert VI',
-            type: 'Eckert6',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Eisenlohr',
-            layerName: 'Eisenlohr',
-            type: 'Eisenlohr',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Fahey',
-            layerName: 'Fahey',
-            type: 'Fahey',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Foucaut',
-            layerName: 'Foucaut',
-            type: 'Foucaut',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'FoucautSinusoidal',
-            layerName: 'Foucaut Sinusoidal',
-            type: 'FoucautSinusoidal',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Gilbert',
-            layerName: 'Gilbert',
-            type: 'Gilbert',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Gingery',
-            layerName: 'Gingery',
-            type: 'Gingery',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'Ginzburg4',
-            layerName: 'Ginzburg IV',
-            type: 'Ginzburg4',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Ginzburg5',
-            layerName: 'Ginzburg V',
-            type: 'Ginzburg5',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Ginzburg6',
-            layerName: 'Ginzburg VI',
-            type: 'Ginzburg6',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Ginzburg8',
-            layerName: 'Ginzburg VIII',
-            type: 'Ginzburg8',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Ginzburg9',
-            layerName: 'Ginzburg IX',
-            type: 'Ginzburg9',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Gringorten',
-            layerName: 'Gringorten',
-            type: 'Gringorten',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'GringortenQuincuncial',
-            layerName: 'Gringorten Quincuncial',
-            type: 'GringortenQuincuncial',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'Guyou',
-            layerName: 'Guyou',
-            type: 'Guyou',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'Hammer',
-            layerName: 'Hammer',
-            type: 'Hammer',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'HammerRetroazimuthal',
-            layerName: 'Hammer Retroazimuthal',
-            type: 'HammerRetroazimuthal',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'Healpix',
-            layerName: 'HEALPix',
-            type: 'Healpix',
-            scale: 100,
-            shape: '多邊形',
-          },
-          {
-            layerId: 'Hill',
-            layerName: 'Hill',
-            type: 'Hill',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Homolosine',
-            layerName: 'Homolosine',
-            type: 'Homolosine',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Hufnagel',
-            layerName: 'Hufnagel',
-            type: 'Hufnagel',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Hyperelliptical',
-            layerName: 'Hyperelliptical',
-            type: 'Hyperelliptical',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'InterruptedBoggs',
-            layerName: 'Interrupted Boggs',
-            type: 'InterruptedBoggs',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'InterruptedHomolosine',
-            layerName: 'Interrupted Homolosine',
-            type: 'InterruptedHomolosine',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'InterruptedMollweide',
-            layerName: 'Interrupted Mollweide',
-            type: 'InterruptedMollweide',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'InterruptedMollweideHemispheres',
-            layerName: 'Interrupted Mollweide Hemispheres',
-            type: 'InterruptedMollweideHemispheres',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'InterruptedQuarticAuthalic',
-            layerName: 'Interrupted Quartic Authalic',
-            type: 'InterruptedQuarticAuthalic',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'InterruptedSinuMollweide',
-            layerName: 'Interrupted Sinu-Mollweide',
-            type: 'InterruptedSinuMollweide',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'InterruptedSinusoidal',
-            layerName: 'Interrupted Sinusoidal',
-            type: 'InterruptedSinusoidal',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'Kavrayskiy7',
-            layerName: 'Kavrayskiy VII',
-            type: 'Kavrayskiy7',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Lagrange',
-            layerName: 'Lagrange',
-            type: 'Lagrange',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Larrivee',
-            layerName: 'Larrivee',
-            type: 'Larrivee',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Laskowski',
-            layerName: 'Laskowski',
-            type: 'Laskowski',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Littrow',
-            layerName: 'Littrow',
-            type: 'Littrow',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Loximuthal',
-            layerName: 'Loximuthal',
-            type: 'Loximuthal',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Miller',
-            layerName: 'Miller',
-            type: 'Miller',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Mollweide',
-            layerName: 'Mollweide',
-            type: 'Mollweide',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'MtFlatPolarParabolic',
-            layerName: 'McBryde-Thomas Flat-Polar Parabolic',
-            type: 'MtFlatPolarParabolic',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'MtFlatPolarQuartic',
-            layerName: 'McBryde-Thomas Flat-Polar Quartic',
-            type: 'MtFlatPolarQuartic',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'MtFlatPolarSinusoidal',
-            layerName: 'McBryde-Thomas Flat-Polar Sinusoidal',
-            type: 'MtFlatPolarSinusoidal',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'NaturalEarth2',
-            layerName: 'Natural Earth II',
-            type: 'NaturalEarth2',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'NellHammer',
-            layerName: 'Nell-Hammer',
-            type: 'NellHammer',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Nicolosi',
-            layerName: 'Nicolosi',
-            type: 'Nicolosi',
-            scale: 100,
-            shape: '圓形',
-          },
-          {
-            layerId: 'Patterson',
-            layerName: 'Patterson',
-            type: 'Patterson',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'PeirceQuincuncial',
-            layerName: 'Peirce Quincuncial',
-            type: 'PeirceQuincuncial',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'Polyconic',
-            layerName: 'Polyconic',
-            type: 'Polyconic',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'PolyhedralButterfly',
-            layerName: 'Polyhedral Butterfly',
-            type: 'PolyhedralButterfly',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'PolyhedralCollignon',
-            layerName: 'Polyhedral Collignon',
-            type: 'PolyhedralCollignon',
-            scale: 100,
-            shape: '多邊形',
-          },
-          {
-            layerId: 'PolyhedralWaterman',
-            layerName: 'Polyhedral Waterman',
-            type: 'PolyhedralWaterman',
-            scale: 100,
-            shape: '多邊形',
-          },
-          {
-            layerId: 'RectangularPolyconic',
-            layerName: 'Rectangular Polyconic',
-            type: 'RectangularPolyconic',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Robinson',
-            layerName: 'Robinson',
-            type: 'Robinson',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Satellite',
-            layerName: 'Satellite',
-            type: 'Satellite',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'SinuMollweide',
-            layerName: 'Sinu-Mollweide',
-            type: 'SinuMollweide',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Sinusoidal',
-            layerName: 'Sinusoidal',
-            type: 'Sinusoidal',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Times',
-            layerName: 'Times',
-            type: 'Times',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'TwoPointAzimuthal',
-            layerName: 'Two-Point Azimuthal',
-            type: 'TwoPointAzimuthal',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'TwoPointEquidistant',
-            layerName: 'Two-Point Equidistant',
-            type: 'TwoPointEquidistant',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'VanDerGrinten',
-            layerName: 'Van der Grinten',
-            type: 'VanDerGrinten',
-            scale: 100,
-            shape: '圓形',
-          },
-          {
-            layerId: 'VanDerGrinten2',
-            layerName: 'Van der Grinten II',
-            type: 'VanDerGrinten2',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'VanDerGrinten3',
-            layerName: 'Van der Grinten III',
-            type: 'VanDerGrinten3',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'VanDerGrinten4',
-            layerName: 'Van der Grinten IV',
-            type: 'VanDerGrinten4',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Wagner4',
-            layerName: 'Wagner IV',
-            type: 'Wagner4',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Wagner6',
-            layerName: 'Wagner VI',
-            type: 'Wagner6',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Wagner7',
-            layerName: 'Wagner VII',
-            type: 'Wagner7',
-            scale: 100,
-            shape: '橢圓形',
-          },
-          {
-            layerId: 'Wiechel',
-            layerName: 'Wiechel',
-            type: 'Wiechel',
-            scale: 100,
-            shape: '不規則形',
-          },
-          {
-            layerId: 'Winkel3',
-            layerName: 'Winkel Tripel',
-            type: 'Winkel3',
-            scale: 100,
-            shape: '橢圓形',
-          },
-        ],
-      },
-    ]);
+    const layers = ref(
+      Object.entries(SURFACE_FAMILIES)
+        .map(([family, groupName]) => ({
+          groupKey: family,
+          groupName,
+          groupLayers: PROJECTIONS.filter((definition) => definition.family === family).map(
+            (definition) => ({
+              layerId: definition.id,
+              layerName: definition.name,
+              type: definition.id,
+              scale: definition.scale,
+              shape: definition.shape,
+              properties: definition.properties,
+              family: definition.family,
+              inventor: definition.inventor,
+              year: definition.year,
+            })
+          ),
+        }))
+        .filter((group) => group.groupLayers.length)
+    );
 
     /**
-     * 🏠 台灣 (Taiwan)
-     *
-     * 台灣在地圖上會以紅色標示
+     * ⭐ 常用投影 (Favorite Projections)
+     * 在投影選擇器中標記的投影 ID，儲存在 localStorage
+     */
+    const favoriteProjections = ref(loadFavoriteProjections());
+
+    watch(favoriteProjections, (value) => {
+      try {
+        localStorage.setItem(FAVORITE_PROJECTIONS_STORAGE_KEY, JSON.stringify(value));
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn('⚠️ 無法儲存常用投影:', error);
+      }
+    });
+
+    /**
+     * ⭐ 切換投影是否為常用
+     * @param {string} projectionId - 投影類型的唯一標識符
      */
-    const homeCountry = ref('Taiwan');
+    const toggleFavoriteProjection = (projectionId) => {
+      favoriteProjections.value = favoriteProjections.value.includes(projectionId)
+        ? favoriteProjections.value.filter((id) => id !== projectionId)
+        : [...favoriteProjections.value, projectionId];
+    };
 
     /**
-     * 🔍 檢查國家是否為台灣 (Check if Country is Taiwan)
+     * 🏠 突顯國家 (Highlight Countries)
      *
-     * @param {string} countryName - 國家名稱（來自 GeoJSON 的 properties.name 或其他屬性）
-     * @returns {boolean} 是否為台灣
+     * 以 ADM0_A3 代碼選取任意數量的國家，每個國家以各自的顏色標示，
+     * 焦點檢視會縮放到這些國家。預設為台灣（紅色）。
      */
-    const isHomeCountry = (countryName) => {
-      if (!countryName) return false;
-      return countryName.trim() === homeCountry.value;
+    const highlightCountries = ref(loadHighlightCountries());
+
+    watch(
+      highlightCountries,
+      (value) => {
+        try {
+          localStorage.setItem(HIGHLIGHT_COUNTRIES_STORAGE_KEY, JSON.stringify(value));
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.warn('⚠️ 無法儲存突顯國家:', error);
+        }
+      },
+      { deep: true }
+    );
+
+    /**
+     * ➕ 加入突顯國家
+     * 顏色依目前數量輪流使用 HIGHLIGHT_COLORS；已存在的國家不重複加入
+     * @param {string} code - ADM0_A3 代碼
+     * @param {string} [name] - 顯示名稱
+     * @returns {boolean} 是否加入
+     */
+    const addHighlightCountry = (code, name) => {
+      const trimmed = String(code || '').trim();
+      if (!trimmed || highlightCountries.value.some((item) => item.code === trimmed)) return false;
+      const color = HIGHLIGHT_COLORS[highlightCountries.value.length % HIGHLIGHT_COLORS.length];
+      highlightCountries.value = [
+        ...highlightCountries.value,
+        { code: trimmed, name: String(name || trimmed), color },
+      ];
+      return true;
+    };
+
+    /**
+     * 📋 取代所有突顯國家（例如從分享連結還原）
+     * 已突顯的國家保留原本的顏色，其餘依順序輪流使用 HIGHLIGHT_COLORS
+     * @param {Array<{code: string, name?: string}>} items - 國家代碼與顯示名稱
+     */
+    const setHighlightCountries = (items) => {
+      const seen = new Set();
+      highlightCountries.value = items
+        .map((item) => ({ code: String(item?.code || '').trim(), name: item?.name }))
+        .filter((item) => item.code && !seen.has(item.code) && seen.add(item.code))
+        .map((item, index) => {
+          const existing = highlightCountries.value.find((country) => country.code === item.code);
+          return {
+            code: item.code,
+            name: String(item.name || existing?.name || item.code),
+            color: existing?.color || HIGHLIGHT_COLORS[index % HIGHLIGHT_COLORS.length],
+          };
+        });
+    };
+
+    /**
+     * 🎨 變更突顯國家的顏色
+     * @param {string} code - ADM0_A3 代碼
+     * @param {string} color - 顏色（#rrggbb）
+     */
+    const setHighlightColor = (code, color) => {
+      highlightCountries.value = highlightCountries.value.map((item) =>
+        item.code === code ? { ...item, color } : item
+      );
+    };
+
+    /**
+     * 🗑️ 移除突顯國家
+     * @param {string} code - ADM0_A3 代碼
+     */
+    const removeHighlightCountry = (code) => {
+      highlightCountries.value = highlightCountries.value.filter((item) => item.code !== code);
+    };
+
+    /**
+     * 🔍 取得國家的突顯顏色
+     * @param {Object} feature - Natural Earth 國家圖徵
+     * @returns {string|null} 突顯顏色；未被選取時回傳 null
+     */
+    const getHighlightColor = (feature) => {
+      const code = getCountryCode(feature);
+      return highlightCountries.value.find((item) => item.code === code)?.color || null;
     };
 
     /**
@@ -851,10 +361,253 @@ export const useDataStore = defineStore(
       selectedFeature.value = feature;
     };
 
+    // ------------------------------------------------------------
+    // 投影參數（使用者在參數面板調整的值，依投影 ID 分別保存）
+    const projectionParams = ref({});
+
+    /**
+     * 🎚️ 取得投影目前的覆寫參數
+     * @param {string} projectionId - 投影類型的唯一標識符
+     * @returns {Object} 覆寫參數，未調整過時回傳空物件
+     */
+    const getProjectionParams = (projectionId) => projectionParams.value[projectionId] || {};
+
+    /**
+     * 🎚️ 設定投影參數
+     *
+     * 參數會依投影註冊表的調整範圍整理，不支援的參數會被忽略。
+     *
+     * @param {string} projectionId - 投影類型的唯一標識符
+     * @param {Object} params - 要覆寫的參數（與既有覆寫合併）
+     */
+    const setProjectionParams = (projectionId, params) => {
+      const merged = sanitizeProjectionParameters(projectionId, {
+        ...getProjectionParams(projectionId),
+        ...params,
+      });
+      projectionParams.value = { ...projectionParams.value, [projectionId]: merged };
+    };
+
+    /**
+     * ♻️ 清除投影的覆寫參數，回到註冊表預設值
+     * @param {string} projectionId - 投影類型的唯一標識符
+     */
+    const resetProjectionParams = (projectionId) => {
+      const next = { ...projectionParams.value };
+      delete next[projectionId];
+      projectionParams.value = next;
+    };
+
+    // 焦點檢視依範圍計算的標準緯線（1/6 法則），只作為沒有覆寫時的預設值；世界地圖時為 null
+    const regionalParallels = ref(null);
+
+    /**
+     * 📐 設定區域標準緯線
+     * @param {Array<number>|null} parallels - [南, 北]；null 時恢復註冊表預設值
+     */
+    const setRegionalParallels = (parallels) => {
+      regionalParallels.value = parallels;
+    };
+
+    /**
+     * 🎚️ 取得投影實際使用的參數
+     * 覆寫參數優先；支援標準緯線的投影沒有覆寫時使用區域標準緯線
+     * @param {string} projectionId - 投影類型的唯一標識符
+     * @returns {Object} 建立投影用的參數
+     */
+    const getEffectiveProjectionParams = (projectionId) => {
+      const overrides = getProjectionParams(projectionId);
+      if (!regionalParallels.value || !getProjectionDefinition(projectionId)?.supports.parallels) {
+        return overrides;
+      }
+      return { parallels: regionalParallels.value, ...overrides };
+    };
+
+    // ------------------------------------------------------------
+    // 自訂地圖中心（儲存在 localStorage，重新整理後仍保留）
+    const customCenters = ref(loadCustomCenters());
+
+    watch(
+      customCenters,
+      (value) => {
+        try {
+          localStorage.setItem(CUSTOM_CENTERS_STORAGE_KEY, JSON.stringify(value));
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.warn('⚠️ 無法儲存自訂地圖中心:', error);
+        }
+      },
+      { deep: true }
+    );
+
+    /**
+     * 💾 儲存自訂地圖中心
+     *
+     * 名稱相同時覆寫原有中心。
+     *
+     * @param {string} name - 中心名稱
+     * @param {Array<number>} center - [經度, 緯度, γ]
+     * @returns {boolean} 是否儲存成功（名稱為空或座標無效時回傳 false）
+     */
+    const saveCustomCenter = (name, center) => {
+      const trimmed = String(name || '').trim();
+      const normalized = normalizeCenter(center);
+      if (!trimmed || !normalized) return false;
+
+      const others = customCenters.value.filter((item) => item.name !== trimmed);
+      customCenters.value = [...others, { name: trimmed, center: normalized }];
+      return true;
+    };
+
+    /**
+     * 🗑️ 刪除自訂地圖中心
+     * @param {string} name - 中心名稱
+     */
+    const removeCustomCenter = (name) => {
+      customCenters.value = customCenters.value.filter((item) => item.name !== name);
+    };
+
+    // ------------------------------------------------------------
+    // 版面範本（儲存在 localStorage，重新整理後仍保留）
+    const layoutTemplates = ref(loadLayoutTemplates());
+
+    watch(
+      layoutTemplates,
+      (value) => {
+        try {
+          localStorage.setItem(LAYOUT_TEMPLATES_STORAGE_KEY, JSON.stringify(value));
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.warn('⚠️ 無法儲存版面範本:', error);
+        }
+      },
+      { deep: true }
+    );
+
+    /**
+     * 💾 儲存版面範本
+     *
+     * 名稱相同時覆寫原有範本。
+     *
+     * @param {string} name - 範本名稱
+     * @param {Object} layout - 版面（格式見 utils/layoutComposer.js）
+     * @returns {boolean} 是否儲存成功（名稱為空時回傳 false）
+     */
+    const saveLayoutTemplate = (name, layout) => {
+      const trimmed = String(name || '').trim();
+      if (!trimmed) return false;
+
+      const others = layoutTemplates.value.filter((item) => item.name !== trimmed);
+      layoutTemplates.value = [...others, { name: trimmed, layout: normalizeLayout(layout) }];
+      return true;
+    };
+
+    /**
+     * 🗑️ 刪除版面範本
+     * @param {string} name - 範本名稱
+     */
+    const removeLayoutTemplate = (name) => {
+      layoutTemplates.value = layoutTemplates.value.filter((item) => item.name !== name);
+    };
+
+    // ------------------------------------------------------------
+    // 使用者圖層（本機載入的 GeoJSON / TopoJSON / Shapefile，疊在國家上方）
+    const userLayers = ref([]);
+    let userLayerSerial = 0;
+
+    /**
+     * ➕ 加入使用者圖層
+     *
+     * GeoJSON 以 markRaw 保存，避免大型資料被轉為深層響應式物件。
+     * 由表格匯入的點圖層帶有 symbol 設定，地圖以符號（圓）繪製而非 GeoJSON 路徑。
+     *
+     * @param {string} name - 圖層名稱
+     * @param {Object} geojson - FeatureCollection（座標為 WGS84 經緯度）
+     * @param {Object} [options]
+     * @param {string} [options.crs='CRS84'] - 原始資料的座標參考系統（僅供顯示，座標已轉換為經緯度）
+     * @param {Object|null} [options.symbol=null] - 點符號設定 { mode }，mode 為 'simple'、
+     *   'proportional' 或 'categorical'
+     * @returns {string} 新圖層的 ID
+     */
+    const addUserLayer = (name, geojson, { crs = 'CRS84', symbol = null } = {}) => {
+      userLayerSerial += 1;
+      const id = `user-layer-${userLayerSerial}`;
+      const color = USER_LAYER_COLORS[(userLayerSerial - 1) % USER_LAYER_COLORS.length];
+      userLayers.value = [
+        ...userLayers.value,
+        {
+          id,
+          name: String(name || id),
+          geojson: markRaw(geojson),
+          crs,
+          symbol,
+          fill: color,
+          fillOpacity: 0.5,
+          stroke: '#333333',
+          visible: true,
+        },
+      ];
+      return id;
+    };
+
+    /**
+     * ✏️ 更新使用者圖層的樣式或顯示狀態
+     * @param {string} id - 圖層 ID
+     * @param {Object} changes - { name, fill, fillOpacity, stroke, visible, symbol } 中要更新的欄位
+     */
+    const updateUserLayer = (id, changes) => {
+      // 圖層資料載入後不可替換，只接受樣式與顯示狀態
+      const allowed = { ...changes };
+      delete allowed.id;
+      delete allowed.geojson;
+      userLayers.value = userLayers.value.map((layer) =>
+        layer.id === id ? { ...layer, ...allowed } : layer
+      );
+    };
+
+    /**
+     * 🗑️ 刪除使用者圖層
+     * @param {string} id - 圖層 ID
+     */
+    const removeUserLayer = (id) => {
+      userLayers.value = userLayers.value.filter((layer) => layer.id !== id);
+    };
+
+    // ------------------------------------------------------------
+    // 世界地圖資料（多個地圖面板共用同一份資料，只下載一次）
+    let worldDataRequest = null;
+
+    /**
+     * 🌐 載入世界地圖 GeoJSON
+     *
+     * 多個 MapTab 同時呼叫時共用同一個請求；載入失敗時清除快取，下次呼叫會重新下載
+     *
+     * @returns {Promise<Object>} GeoJSON FeatureCollection
+     */
+    const loadWorldData = () => {
+      if (!worldDataRequest) {
+        worldDataRequest = fetch(`${process.env.BASE_URL}data/ne_110m_admin_0_countries.geojson`)
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error(`HTTP 錯誤! 狀態: ${response.status}`);
+            }
+            return response.json();
+          })
+          .catch((error) => {
+            worldDataRequest = null;
+            throw error;
+          });
+      }
+      return worldDataRequest;
+    };
+
     // ------------------------------------------------------------
     // 地圖導航功能
     const mapInstance = ref(null);
 
+    // 最近一次投影切換失敗的錯誤訊息（成功時清除）
+    const projectionError = ref(null);
+
     const setMapInstance = (map) => {
       mapInstance.value = map;
     };
@@ -873,6 +626,7 @@ export const useDataStore = defineStore(
       if (!projectionLayer) {
         // eslint-disable-next-line no-console
         console.error('❌ 找不到投影類型:', projectionId);
+        projectionError.value = `找不到投影類型: ${projectionId}`;
         return;
       }
 
@@ -899,12 +653,14 @@ export const useDataStore = defineStore(
         // D3.js 地圖使用 changeProjection 方法
         if (mapInstance.value.changeProjection) {
           mapInstance.value.changeProjection(projectionLayer.type, projectionLayer.scale);
+          projectionError.value = null;
           // eslint-disable-next-line no-console
           console.log(`🌍 成功切換到投影類型: ${projectionLayer.layerName}`);
         }
       } catch (error) {
         // eslint-disable-next-line no-console
         console.error('❌ 投影切換失敗:', error);
+        projectionError.value = `投影切換失敗: ${projectionLayer.layerName}（${error.message}）`;
       }
     };
 
@@ -912,13 +668,38 @@ export const useDataStore = defineStore(
       layers,
       findLayerById, // 根據 ID 尋找圖層
       getAllLayers, // 獲取所有圖層的扁平陣列
+      favoriteProjections, // 常用投影
+      toggleFavoriteProjection, // 切換常用投影
       selectedFeature, // 選中的地圖要素
       setSelectedFeature, // 設定選中的地圖要素
+      loadWorldData, // 載入世界地圖資料
+      userLayers, // 使用者圖層
+      addUserLayer, // 加入使用者圖層
+      updateUserLayer, // 更新使用者圖層
+      removeUserLayer, // 刪除使用者圖層
       mapInstance, // 地圖實例
       setMapInstance, // 設定地圖實例
       changeProjection, // 切換投影類型
-      homeCountry, // 台灣（紅色標示）
-      isHomeCountry, // 檢查國家是否為台灣
+      projectionError, // 投影切換錯誤訊息
+      projectionParams, // 投影參數
+      getProjectionParams, // 取得投影參數
+      setProjectionParams, // 設定投影參數
+      resetProjectionParams, // 重設投影參數
+      regionalParallels, // 區域標準緯線
+      setRegionalParallels, // 設定區域標準緯線
+      getEffectiveProjectionParams, // 取得投影實際使用的參數
+      customCenters, // 自訂地圖中心
+      saveCustomCenter, // 儲存自訂地圖中心
+      removeCustomCenter, // 刪除自訂地圖中心
+      layoutTemplates, // 版面範本
+      saveLayoutTemplate, // 儲存版面範本
+      removeLayoutTemplate, // 刪除版面範本
+      highlightCountries, // 突顯國家
+      addHighlightCountry, // 加入突顯國家
+      setHighlightCountries, // 取代所有突顯國家
+      setHighlightColor, // 變更突顯國家顏色
+      removeHighlightCountry, // 移除突顯國家
+      getHighlightColor, // 取得國家的突顯顏色
       // 所有圖層都是可見的，所以直接返回所有圖層
       visibleLayers: computed(() => getAllLayers()),
     };
@@ -0,0 +1,244 @@
+/**
+ * 🎨 面量圖工具 (Choropleth Utilities)
+ *
+ * 依 Natural Earth 國家屬性分級並著色，產生面量圖（choropleth）的配色函數與圖例。
+ * 主要功能：
+ * - 數值屬性（人口、GDP、人均 GDP、人口密度）與類別屬性（經濟發展程度、所得組別）
+ * - 分級方法：分位數、等間距、Jenks 自然斷點
+ * - 連續色帶依分級數量取色
+ *
+ * 分級只依據屬性值，與投影無關；同一份面量圖在等積與非等積投影下的視覺差異
+ * 即來自投影對各國面積的縮放。
+ */
+
+import {
+  geoArea,
+  interpolateBlues,
+  interpolateGreens,
+  interpolatePurples,
+  interpolateViridis,
+  interpolateYlGnBu,
+  interpolateYlOrRd,
+  quantile,
+  quantize,
+} from 'd3';
+
+// 地球平均半徑（公里），將球面面積（球面度）換算為平方公里
+const EARTH_RADIUS_KM = 6371.0088;
+
+// 缺值（無資料或無效數值）的填色
+export const MISSING_COLOR = '#dddddd';
+
+const formatNumber = (value) => {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${+(value / 1e9).toPrecision(3)}B`;
+  if (abs >= 1e6) return `${+(value / 1e6).toPrecision(3)}M`;
+  if (abs >= 1e3) return `${+(value / 1e3).toPrecision(3)}K`;
+  return `${+value.toPrecision(3)}`;
+};
+
+/**
+ * 📋 可用的主題屬性
+ * numeric 屬性的 value 接收 GeoJSON Feature 並回傳數值；categorical 屬性直接讀取 properties[key]，
+ * Natural Earth 的類別值以「1. 」等序號開頭，依序號排序即為由高到低的等級
+ */
+export const CHOROPLETH_ATTRIBUTES = {
+  POP_EST: {
+    label: '人口',
+    type: 'numeric',
+    value: (feature) => feature.properties?.POP_EST,
+  },
+  GDP_MD: {
+    label: 'GDP（百萬美元）',
+    type: 'numeric',
+    value: (feature) => feature.properties?.GDP_MD,
+  },
+  GDP_PER_CAPITA: {
+    label: '人均 GDP（美元）',
+    type: 'numeric',
+    value: (feature) => {
+      const { GDP_MD: gdp, POP_EST: population } = feature.properties || {};
+      return population > 0 ? (gdp * 1e6) / population : NaN;
+    },
+  },
+  POP_DENSITY: {
+    label: '人口密度（人/km²）',
+    type: 'numeric',
+    value: (feature) =>
+      feature.properties?.POP_EST / (geoArea(feature) * EARTH_RADIUS_KM * EARTH_RADIUS_KM),
+  },
+  ECONOMY: { label: '經濟發展程度', type: 'categorical' },
+  INCOME_GRP: { label: '所得組別', type: 'categorical' },
+};
+
+// 分級方法
+export const CLASSIFICATION_METHODS = {
+  quantile: '分位數',
+  equal: '等間距',
+  jenks: '自然斷點',
+};
+
+// 色帶（數值由低到高）
+export const COLOR_RAMPS = {
+  YlOrRd: { label: '黃橙紅', interpolator: interpolateYlOrRd },
+  Blues: { label: '藍', interpolator: interpolateBlues },
+  Greens: { label: '綠', interpolator: interpolateGreens },
+  Purples: { label: '紫', interpolator: interpolatePurples },
+  YlGnBu: { label: '黃綠藍', interpolator: interpolateYlGnBu },
+  Viridis: { label: 'Viridis', interpolator: interpolateViridis },
+};
+
+/**
+ * 🧮 Jenks 自然斷點（Fisher-Jenks 動態規劃）
+ * 使各級組內變異總和最小
+ * @param {Array<number>} sorted - 已由小到大排序的數值
+ * @param {number} classes - 分級數量
+ * @returns {Array<number>} 各級上界（不含最後一級）
+ */
+const jenksBreaks = (sorted, classes) => {
+  const n = sorted.length;
+  // lower[i][j]：前 i 個值分成 j 級時，最後一級的起始索引（1 起算）
+  const lower = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+  for (let j = 1; j <= classes; j += 1) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let i = 2; i <= n; i += 1) {
+    let sum = 0;
+    let sumSquares = 0;
+    let cost = 0;
+    for (let m = 1; m <= i; m += 1) {
+      const start = i - m + 1;
+      const value = sorted[start - 1];
+      sum += value;
+      sumSquares += value * value;
+      cost = sumSquares - (sum * sum) / m;
+      if (start > 1) {
+        for (let j = 2; j <= classes; j += 1) {
+          const candidate = cost + variance[start - 1][j - 1];
+          if (candidate <= variance[i][j]) {
+            lower[i][j] = start;
+            variance[i][j] = candidate;
+          }
+        }
+      }
+    }
+    lower[i][1] = 1;
+    variance[i][1] = cost;
+  }
+
+  const breaks = [];
+  let end = n;
+  for (let j = classes; j >= 2; j -= 1) {
+    const start = lower[end][j];
+    breaks.unshift(sorted[start - 2]);
+    end = start - 1;
+  }
+  return breaks;
+};
+
+/**
+ * 📊 計算分級斷點
+ * @param {Array<number>} values - 數值（忽略非有限值）
+ * @param {string} method - CLASSIFICATION_METHODS 的鍵值
+ * @param {number} classes - 分級數量
+ * @returns {Array<number>} 遞增且不重複的斷點；值 ≤ 斷點者歸入該級，實際級數為斷點數 + 1
+ */
+export const computeBreaks = (values, method, classes) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const count = Math.max(1, Math.min(Math.round(classes), sorted.length));
+  if (count < 2) return [];
+
+  let breaks;
+  if (method === 'equal') {
+    const min = sorted[0];
+    const step = (sorted[sorted.length - 1] - min) / count;
+    breaks = Array.from({ length: count - 1 }, (_, i) => min + step * (i + 1));
+  } else if (method === 'jenks') {
+    breaks = jenksBreaks(sorted, count);
+  } else {
+    breaks = Array.from({ length: count - 1 }, (_, i) => quantile(sorted, (i + 1) / count));
+  }
+
+  // 重複值多時分位數可能相同，合併為較少的級數
+  return breaks.filter((value, index) => index === 0 || value > breaks[index - 1]);
+};
+
+/**
+ * 🎨 建立面量圖
+ *
+ * @param {Array<Object>} features - GeoJSON Feature 陣列（分級依據全部國家，而非目前可見的國家）
+ * @param {Object} options
+ * @param {string} options.attribute - CHOROPLETH_ATTRIBUTES 的鍵值
+ * @param {string} [options.method='quantile'] - CLASSIFICATION_METHODS 的鍵值（類別屬性忽略）
+ * @param {number} [options.classes=5] - 分級數量（類別屬性忽略）
+ * @param {string} [options.ramp='YlOrRd'] - COLOR_RAMPS 的鍵值
+ * @returns {{label: string, getColor: Function, legend: Array<{color: string, label: string}>}|null}
+ *   getColor(feature) 回傳填色；legend 依序列出每一級，最後一項為缺值；屬性無效時回傳 null
+ *
+ * @example
+ * const choropleth = createChoropleth(world.features, { attribute: 'POP_EST', method: 'jenks' });
+ * paths.attr('fill', (d) => choropleth.getColor(d));
+ */
+export const createChoropleth = (
+  features,
+  { attribute, method = 'quantile', classes = 5, ramp = 'YlOrRd' }
+) => {
+  const definition = CHOROPLETH_ATTRIBUTES[attribute];
+  if (!definition) return null;
+  const { interpolator } = COLOR_RAMPS[ramp] || COLOR_RAMPS.YlOrRd;
+  // 色帶兩端過淺或過深，取中間 85% 讓每一級都能和缺值、邊框區分
+  const pickColors = (count) =>
+    count === 1 ? [interpolator(0.6)] : quantize((t) => interpolator(0.15 + t * 0.85), count);
+
+  let classify;
+  let legend;
+
+  if (definition.type === 'categorical') {
+    const categories = [
+      ...new Set(features.map((feature) => feature.properties?.[attribute]).filter(Boolean)),
+    ].sort();
+    // 序號越小等級越高，給予色帶較深的一端
+    const colors = pickColors(categories.length).reverse();
+    classify = (feature) => categories.indexOf(feature.properties?.[attribute]);
+    legend = categories.map((category, index) => ({
+      color: colors[index],
+      label: category.replace(/^\d+\.\s*/, ''),
+    }));
+  } else {
+    const valueOf = (feature) => {
+      const value = Number(definition.value(feature));
+      // Natural Earth 以負數（-99）表示缺值
+      return Number.isFinite(value) && value >= 0 ? value : NaN;
+    };
+    const values = features.map(valueOf);
+    const breaks = computeBreaks(values, method, classes);
+    const finite = values.filter(Number.isFinite);
+    const colors = pickColors(breaks.length + 1);
+    const bounds = [Math.min(...finite), ...breaks, Math.max(...finite)];
+
+    classify = (feature) => {
+      const value = valueOf(feature);
+      if (!Number.isFinite(value)) return -1;
+      const index = breaks.findIndex((limit) => value <= limit);
+      return index === -1 ? breaks.length : index;
+    };
+    legend = finite.length
+      ? colors.map((color, index) => ({
+          color,
+          label: `${formatNumber(bounds[index])} – ${formatNumber(bounds[index + 1])}`,
+        }))
+      : [];
+  }
+
+  return {
+    label: definition.label,
+    getColor: (feature) => {
+      const index = classify(feature);
+      return index >= 0 ? legend[index].color : MISSING_COLOR;
+    },
+    legend: [...legend, { color: MISSING_COLOR, label: '無資料' }],
+  };
+};
@@ -0,0 +1,82 @@
+/**
+ * 🏳️ 國家資料工具 (Country Utilities)
+ *
+ * 從 Natural Earth 國家圖徵讀取代碼與名稱，提供突顯國家的比對與搜尋。
+ * 國家以 ADM0_A3 作為唯一代碼：部分國家（法國、挪威、科索沃等）的 ISO_A3 為 -99，
+ * 搜尋時仍同時比對 ISO_A3。
+ */
+
+// 突顯國家的預設顏色，依加入順序輪流使用（第一個沿用原本台灣的紅色）
+export const HIGHLIGHT_COLORS = ['#ff0000', '#ff7f0e', '#9467bd', '#2ca02c', '#1f77b4', '#e377c2'];
+
+// 搜尋時比對的名稱屬性
+const NAME_KEYS = ['NAME', 'NAME_LONG', 'ADMIN', 'NAME_ZHT', 'NAME_ZH', 'name'];
+
+/**
+ * 🔑 取得國家代碼
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {string} ADM0_A3（沒有時依序退回 ISO_A3、NAME）
+ */
+export const getCountryCode = (feature) => {
+  const properties = feature?.properties || {};
+  const code = properties.ADM0_A3 || properties.adm0_a3;
+  if (code) return code;
+  const iso = properties.ISO_A3 || properties.iso_a3;
+  return iso && iso !== '-99' ? iso : String(properties.NAME || properties.name || '');
+};
+
+/**
+ * 🏷️ 取得國家顯示名稱（優先使用中文名稱）
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {string}
+ */
+export const getCountryName = (feature) => {
+  const properties = feature?.properties || {};
+  return properties.NAME_ZHT || properties.NAME || properties.ADMIN || properties.name || '';
+};
+
+/**
+ * 📋 建立可選擇的國家清單
+ * @param {Array<Object>} features - Natural Earth 國家圖徵
+ * @returns {Array<{code: string, iso: string, name: string, keywords: string}>}
+ *   依英文名稱排序；keywords 為搜尋用的小寫字串（代碼與各語言名稱）
+ */
+export const listCountries = (features) =>
+  features
+    .map((feature) => {
+      const properties = feature.properties || {};
+      const code = getCountryCode(feature);
+      const iso = properties.ISO_A3 && properties.ISO_A3 !== '-99' ? properties.ISO_A3 : '';
+      const names = NAME_KEYS.map((key) => properties[key]).filter(Boolean);
+      return {
+        code,
+        iso,
+        name: getCountryName(feature),
+        sortName: String(properties.NAME || code),
+        keywords: [code, iso, ...names].join(' ').toLowerCase(),
+      };
+    })
+    .sort((a, b) => a.sortName.localeCompare(b.sortName))
+    .map(({ code, iso, name, keywords }) => ({ code, iso, name, keywords }));
+
+/**
+ * 🔎 搜尋國家
+ * 代碼完全相符者排在最前面，其次為名稱包含關鍵字者
+ * @param {Array<Object>} countries - listCountries 的結果
+ * @param {string} query - ISO_A3 代碼或名稱（不分大小寫）
+ * @param {number} [limit=8] - 最多回傳的筆數
+ * @returns {Array<Object>}
+ */
+export const searchCountries = (countries, query, limit = 8) => {
+  const text = String(query || '')
+    .trim()
+    .toLowerCase();
+  if (!text) return [];
+  const exact = countries.filter(
+    (country) => country.code.toLowerCase() === text || country.iso.toLowerCase() === text
+  );
+  const partial = countries.filter(
+    (country) => !exact.includes(country) && country.keywords.includes(text)
+  );
+  return [...exact, ...partial].slice(0, limit);
+};
@@ -0,0 +1,173 @@
+/**
+ * 📂 使用者資料載入工具 (User Data Loader)
+ *
+ * 將使用者選取或拖放的本機檔案解析為 GeoJSON FeatureCollection，作為地圖上的額外圖層。
+ * 支援格式：
+ * - GeoJSON（.geojson、.json）：FeatureCollection、Feature 或單一幾何
+ * - TopoJSON（.topojson，或 type 為 Topology 的 .json）：所有物件合併為一個 FeatureCollection
+ * - 壓縮的 Shapefile（.zip）：由 shpjs 解析，並依 .prj 轉換為 WGS84 經緯度
+ *
+ * 座標系統依序採用：使用者指定的 EPSG 代碼或 PROJ 字串 → GeoJSON 的 crs 成員 → WGS84，
+ * 非 WGS84 的資料以 proj4 轉換後才交給 D3（見 reproject.js）。
+ *
+ * D3 以球面多邊形的順時針方向判斷內外側，而 GeoJSON（RFC 7946）規定外環為逆時針，
+ * 因此多邊形在交給 D3 前會依面積重新調整環的方向。
+ */
+
+import { geoArea } from 'd3';
+import { feature as topojsonFeature } from 'topojson-client';
+import shp from 'shpjs';
+import { getGeoJSONCrs, isLonLatRange, isWgs84, reprojectGeoJSON } from './reproject.js';
+
+// 支援的副檔名，同時作為 <input type="file"> 的 accept 屬性
+export const SUPPORTED_EXTENSIONS = ['.geojson', '.json', '.topojson', '.zip'];
+
+const getExtension = (fileName) => {
+  const index = fileName.lastIndexOf('.');
+  return index === -1 ? '' : fileName.slice(index).toLowerCase();
+};
+
+/**
+ * 🧭 調整多邊形環的方向
+ * 面積超過半個球面代表 D3 把多邊形解讀成「外側」，反轉所有環即可修正
+ * @param {Object} geometry - GeoJSON 幾何
+ * @returns {Object} 調整後的幾何（不修改原物件）
+ */
+const rewindGeometry = (geometry) => {
+  if (!geometry) return geometry;
+
+  const rewindPolygon = (rings) => {
+    const polygon = { type: 'Polygon', coordinates: rings };
+    return geoArea(polygon) > 2 * Math.PI ? rings.map((ring) => [...ring].reverse()) : rings;
+  };
+
+  switch (geometry.type) {
+    case 'Polygon':
+      return { ...geometry, coordinates: rewindPolygon(geometry.coordinates) };
+    case 'MultiPolygon':
+      return { ...geometry, coordinates: geometry.coordinates.map(rewindPolygon) };
+    case 'GeometryCollection':
+      return { ...geometry, geometries: geometry.geometries.map(rewindGeometry) };
+    default:
+      return geometry;
+  }
+};
+
+/**
+ * 📦 將 GeoJSON 物件統一為 FeatureCollection
+ * 保留 crs 成員；多邊形環的方向在轉換為經緯度後才由 rewindFeatures 調整
+ * @param {Object} data - FeatureCollection、Feature 或幾何
+ * @returns {Object} FeatureCollection
+ * @throws {Error} 不是有效的 GeoJSON 時
+ */
+export const toFeatureCollection = (data) => {
+  let features;
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features;
+  } else if (data?.type === 'Feature') {
+    features = [data];
+  } else if (data?.type && (data.coordinates || data.geometries)) {
+    features = [{ type: 'Feature', properties: {}, geometry: data }];
+  } else {
+    throw new Error('不是有效的 GeoJSON');
+  }
+
+  return {
+    type: 'FeatureCollection',
+    ...(data.crs ? { crs: data.crs } : {}),
+    features: features.filter((item) => item?.geometry),
+  };
+};
+
+const rewindFeatures = (collection) => ({
+  type: 'FeatureCollection',
+  features: collection.features.map((item) => ({
+    ...item,
+    geometry: rewindGeometry(item.geometry),
+  })),
+});
+
+/**
+ * 🧭 將 FeatureCollection 轉換為 WGS84 經緯度
+ * @param {Object} collection - FeatureCollection
+ * @param {string|null} source - 來源座標系統；null 代表已是 WGS84 經緯度
+ * @param {string} fileName - 檔名（錯誤訊息用）
+ * @returns {Object} WGS84 經緯度的 FeatureCollection
+ * @throws {Error} 無法辨識座標系統，或未宣告座標系統但座標超出經緯度範圍時
+ */
+const toWgs84 = (collection, source, fileName) => {
+  if (source && !isWgs84(source)) {
+    return reprojectGeoJSON(collection, source);
+  }
+  if (!isLonLatRange(collection)) {
+    throw new Error(
+      `${fileName} 的座標超出經緯度範圍，請指定座標參考系統（EPSG 代碼或 PROJ 字串）`
+    );
+  }
+  return collection;
+};
+
+/**
+ * 🗺️ 將 TopoJSON 的所有物件轉為一個 FeatureCollection
+ * @param {Object} topology - TopoJSON Topology
+ * @returns {Object} FeatureCollection
+ */
+const topologyToGeoJSON = (topology) => {
+  const features = Object.values(topology.objects || {}).flatMap((object) => {
+    const converted = topojsonFeature(topology, object);
+    return converted.type === 'FeatureCollection' ? converted.features : [converted];
+  });
+  return { type: 'FeatureCollection', features };
+};
+
+/**
+ * 📂 解析使用者檔案
+ *
+ * @param {File} file - 使用者選取或拖放的檔案
+ * @param {Object} [options]
+ * @param {string} [options.crs] - 來源座標系統（EPSG 代碼、PROJ 字串或 WKT），優先於檔案的 crs 成員；
+ *   Shapefile 已依 .prj 轉換時忽略
+ * @returns {Promise<{name: string, geojson: Object, crs: string}>}
+ *   圖層名稱（檔名去除副檔名）、WGS84 經緯度的 FeatureCollection 與原始座標系統
+ * @throws {Error} 不支援的格式、解析失敗、座標系統無法辨識或檔案中沒有任何圖徵時
+ *
+ * @example
+ * const { name, geojson } = await parseLayerFile(input.files[0], { crs: 'EPSG:3826' });
+ */
+export const parseLayerFile = async (file, { crs = '' } = {}) => {
+  const extension = getExtension(file.name);
+  const name = extension ? file.name.slice(0, -extension.length) : file.name;
+  const userCrs = String(crs || '').trim();
+  let collection;
+  let source;
+
+  if (extension === '.zip') {
+    const result = await shp(await file.arrayBuffer());
+    // 壓縮檔內有多個 Shapefile 時 shpjs 回傳陣列，合併成一個圖層
+    const collections = Array.isArray(result) ? result : [result];
+    collection = toFeatureCollection({
+      type: 'FeatureCollection',
+      features: collections.flatMap((item) => item.features || []),
+    });
+    // 有 .prj 時 shpjs 已轉為經緯度；座標仍超出經緯度範圍代表缺少 .prj，才使用指定的座標系統
+    source = userCrs && !isLonLatRange(collection) ? userCrs : null;
+  } else if (SUPPORTED_EXTENSIONS.includes(extension)) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} 不是有效的 JSON（${error.message}）`);
+    }
+    collection = data?.type === 'Topology' ? topologyToGeoJSON(data) : toFeatureCollection(data);
+    source = userCrs || getGeoJSONCrs(data);
+  } else {
+    throw new Error(`不支援的檔案格式: ${file.name}（支援 ${SUPPORTED_EXTENSIONS.join('、')}）`);
+  }
+
+  if (!collection.features.length) {
+    throw new Error(`${file.name} 沒有任何圖徵`);
+  }
+
+  const geojson = rewindFeatures(toWgs84(collection, source, file.name));
+  return { name, geojson, crs: source || 'CRS84' };
+};
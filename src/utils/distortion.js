@@ -0,0 +1,420 @@
+/**
+ * 📐 投影變形分析工具 (Projection Distortion Utilities)
+ *
+ * 以數值微分計算任意 D3 投影在某個經緯度點上的局部變形。
+ * 主要功能：
+ * - 以有限差分求出投影的局部雅可比矩陣（Jacobian）
+ * - 由雅可比矩陣求出 Tissot 指標橢圓的長短半軸
+ * - 計算面積縮放比與最大角度變形
+ * - 產生可直接交給 SVG 繪製的 Tissot 橢圓路徑
+ * - 將面積或角度變形繪製成逐像素的熱圖
+ *
+ * 所有計算只依賴 projection([lon, lat])，因此適用於 dataStore 中的每一種投影。
+ */
+
+import { geoStream, interpolateRdBu, interpolateYlOrRd, scaleSequential } from 'd3';
+
+const DEG = Math.PI / 180;
+
+// 數值微分步長（度）
+const DIFF_STEP = 1e-3;
+
+// 前後差分的容許差異比例，超過代表跨越了投影的斷裂處（例如分瓣投影的接縫）
+const DISCONTINUITY_TOLERANCE = 0.5;
+
+const isFinitePoint = (point) =>
+  Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]);
+
+const length = ([x, y]) => Math.hypot(x, y);
+
+/**
+ * 🔍 檢查經緯度點在投影裁剪後是否可見
+ * 透過投影的 stream（含旋轉、clipAngle 與 clipExtent）判斷
+ * @param {Function} projection - D3 投影
+ * @param {Array<number>} coordinates - [經度, 緯度]
+ * @returns {boolean} 是否可見
+ */
+export const isPointVisible = (projection, coordinates) => {
+  if (!projection?.stream) return false;
+  let visible = false;
+  const sink = {
+    point() {
+      visible = true;
+    },
+    lineStart() {},
+    lineEnd() {},
+    polygonStart() {},
+    polygonEnd() {},
+    sphere() {},
+  };
+  geoStream({ type: 'Point', coordinates }, projection.stream(sink));
+  return visible;
+};
+
+/**
+ * 🧮 計算投影在單一方向上的偏微分（螢幕單位 / 弧度）
+ * 優先使用中央差分；任一側無法投影時退回單側差分
+ */
+const partialDerivative = (projection, origin, [lon, lat], [dLon, dLat], step) => {
+  const forward = projection([lon + dLon, lat + dLat]);
+  const backward = projection([lon - dLon, lat - dLat]);
+  const forwardOk = isFinitePoint(forward);
+  const backwardOk = isFinitePoint(backward);
+  const h = step * DEG;
+
+  const forwardDiff = forwardOk ? [forward[0] - origin[0], forward[1] - origin[1]] : null;
+  const backwardDiff = backwardOk ? [origin[0] - backward[0], origin[1] - backward[1]] : null;
+
+  if (forwardDiff && backwardDiff) {
+    const spread = length([forwardDiff[0] - backwardDiff[0], forwardDiff[1] - backwardDiff[1]]);
+    const magnitude = Math.max(length(forwardDiff), length(backwardDiff));
+    if (spread > DISCONTINUITY_TOLERANCE * magnitude + 1e-9) return null;
+    return [(forward[0] - backward[0]) / (2 * h), (forward[1] - backward[1]) / (2 * h)];
+  }
+  if (forwardDiff) return [forwardDiff[0] / h, forwardDiff[1] / h];
+  if (backwardDiff) return [backwardDiff[0] / h, backwardDiff[1] / h];
+  return null;
+};
+
+/**
+ * 📐 計算投影在指定點的局部雅可比矩陣
+ *
+ * 矩陣的兩個欄向量分別為沿「東」與「北」方向每弧度地表距離的螢幕位移，
+ * 因此經度方向的偏微分已除以 cos(緯度)。
+ *
+ * @param {Function} projection - D3 投影
+ * @param {Array<number>} coordinates - [經度, 緯度]
+ * @param {number} [step] - 微分步長（度）
+ * @returns {{origin: Array<number>, east: Array<number>, north: Array<number>}|null}
+ *   無法計算（點無法投影、位於斷裂處或極點退化）時回傳 null
+ */
+export const computeJacobian = (projection, coordinates, step = DIFF_STEP) => {
+  if (typeof projection !== 'function') return null;
+  const lon = coordinates[0];
+  // 避開極點，讓經度方向的差分仍有意義
+  const lat = Math.max(-90 + 2 * step, Math.min(90 - 2 * step, coordinates[1]));
+  const origin = projection([lon, lat]);
+  if (!isFinitePoint(origin)) return null;
+
+  const dLambda = partialDerivative(projection, origin, [lon, lat], [step, 0], step);
+  const dPhi = partialDerivative(projection, origin, [lon, lat], [0, step], step);
+  if (!dLambda || !dPhi) return null;
+
+  const cosPhi = Math.cos(lat * DEG);
+  if (cosPhi < 1e-9) return null;
+
+  return {
+    origin,
+    east: [dLambda[0] / cosPhi, dLambda[1] / cosPhi],
+    north: dPhi,
+  };
+};
+
+/**
+ * 📏 求 2×2 矩陣 [[a, b], [c, d]] 的兩個奇異值
+ * @returns {Array<number>} [最大奇異值, 最小奇異值]
+ */
+const singularValues = (a, b, c, d) => {
+  const e = (a + d) / 2;
+  const f = (a - d) / 2;
+  const g = (c + b) / 2;
+  const h = (c - b) / 2;
+  const q = Math.hypot(e, h);
+  const r = Math.hypot(f, g);
+  return [q + r, Math.abs(q - r)];
+};
+
+/**
+ * 🥚 計算 Tissot 指標橢圓
+ *
+ * 長短半軸 a、b 為相對於投影名目比例尺（projection.scale()，即地球半徑的像素長度）
+ * 的局部比例因子：a = b 表示保角，a × b = 1 表示等積。
+ *
+ * @param {Function} projection - D3 投影
+ * @param {Array<number>} coordinates - [經度, 緯度]
+ * @returns {Object|null} Tissot 橢圓資訊：
+ *   - coordinates: 經緯度
+ *   - origin: 投影後的螢幕座標
+ *   - east / north: 雅可比矩陣欄向量（像素 / 弧度）
+ *   - a / b: 最大與最小比例因子
+ *   - areaScale: 面積縮放比 a × b
+ *   - angularDistortion: 最大角度變形（度）
+ */
+export const computeTissot = (projection, coordinates) => {
+  const jacobian = computeJacobian(projection, coordinates);
+  if (!jacobian) return null;
+
+  const { origin, east, north } = jacobian;
+  const [sMax, sMin] = singularValues(east[0], north[0], east[1], north[1]);
+  const nominalScale = typeof projection.scale === 'function' ? projection.scale() : 1;
+  if (!Number.isFinite(sMax) || sMax === 0 || !nominalScale) return null;
+
+  const a = sMax / nominalScale;
+  const b = sMin / nominalScale;
+
+  return {
+    coordinates,
+    origin,
+    east,
+    north,
+    a,
+    b,
+    areaScale: a * b,
+    angularDistortion: (2 * Math.asin(Math.min(1, (a - b) / (a + b)))) / DEG,
+  };
+};
+
+/**
+ * 🌐 產生 Tissot 橢圓的經緯網格中心點
+ * 避開兩極與 ±180° 接縫，讓多數投影都能穩定計算
+ * @param {number} step - 網格間距（度）
+ * @returns {Array<Array<number>>} [經度, 緯度] 陣列
+ */
+export const createTissotGrid = (step) => {
+  const spacing = Math.max(5, Number(step) || 30);
+  const points = [];
+  for (let lat = -90 + spacing; lat < 90 - 1e-9; lat += spacing) {
+    for (let lon = -180 + spacing; lon < 180 - 1e-9; lon += spacing) {
+      points.push([lon, lat]);
+    }
+  }
+  return points;
+};
+
+/**
+ * ✏️ 產生 Tissot 橢圓的 SVG 路徑
+ * 將半徑為 radius（度）的地表小圓經由雅可比矩陣線性映射到螢幕上
+ * @param {Object} tissot - computeTissot 的回傳值
+ * @param {number} radius - 指標圓的角半徑（度）
+ * @param {number} [segments=48] - 橢圓邊緣的分段數
+ * @returns {string} SVG path 字串
+ */
+export const tissotEllipsePath = (tissot, radius, segments = 48) => {
+  const r = radius * DEG;
+  const { origin, east, north } = tissot;
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    const t = (2 * Math.PI * i) / segments;
+    const u = Math.cos(t) * r;
+    const v = Math.sin(t) * r;
+    points.push([origin[0] + east[0] * u + north[0] * v, origin[1] + east[1] * u + north[1] * v]);
+  }
+  return `M${points.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join('L')}Z`;
+};
+
+/**
+ * 📊 計算投影在整個球面上的變形統計
+ *
+ * 以 Fibonacci 球面點做近似等面積取樣，對每個可見樣本點計算 Tissot 橢圓。
+ * 由於畫面上的投影比例尺由 fitExtent 決定，比例因子先除以所有樣本的幾何平均比例尺，
+ * 讓不同投影的結果可以互相比較。
+ *
+ * @param {Function} projection - D3 投影
+ * @param {number} [samples=2000] - 球面取樣點數
+ * @returns {Object|null} 統計結果，無任何可用樣本時回傳 null：
+ *   - samples: 成功計算的樣本數
+ *   - coverage: 可見樣本佔全球面的比例（0–1）
+ *   - areaScaleMin / areaScaleMax: 正規化後的面積縮放比範圍
+ *   - angularDistortionMax / angularDistortionMean: 最大與平均角度變形（度）
+ *   - airy: Airy 誤差（比例因子與 1 的均方根差）
+ *   - airyKavrayskiy: Airy–Kavrayskiy 誤差（比例因子對數的均方根）
+ */
+export const computeDistortionStats = (projection, samples = 2000) => {
+  if (typeof projection !== 'function') return null;
+
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  const factors = [];
+  let visibleCount = 0;
+
+  for (let i = 0; i < samples; i++) {
+    const lat = Math.asin(1 - (2 * i + 1) / samples) / DEG;
+    const lon = (((((i * goldenAngle) / DEG) % 360) + 360) % 360) - 180;
+    if (!isPointVisible(projection, [lon, lat])) continue;
+    visibleCount++;
+
+    const tissot = computeTissot(projection, [lon, lat]);
+    if (!tissot || !(tissot.b > 1e-9) || !Number.isFinite(tissot.a)) continue;
+    factors.push(tissot);
+  }
+
+  if (!factors.length) return null;
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const k = Math.exp(mean(factors.map(({ a, b }) => Math.log(a * b) / 2)));
+
+  const areaScales = factors.map(({ areaScale }) => areaScale / (k * k));
+  const angles = factors.map(({ angularDistortion }) => angularDistortion);
+
+  return {
+    samples: factors.length,
+    coverage: visibleCount / samples,
+    areaScaleMin: Math.min(...areaScales),
+    areaScaleMax: Math.max(...areaScales),
+    angularDistortionMax: Math.max(...angles),
+    angularDistortionMean: mean(angles),
+    airy: Math.sqrt(mean(factors.map(({ a, b }) => ((a / k - 1) ** 2 + (b / k - 1) ** 2) / 2))),
+    airyKavrayskiy: Math.sqrt(
+      mean(factors.map(({ a, b }) => (Math.log(a / k) ** 2 + Math.log(b / k) ** 2) / 2))
+    ),
+  };
+};
+
+/**
+ * 🌡️ 變形熱圖的指標定義
+ * - value: 由 Tissot 橢圓取出的數值
+ * - relative: 是否以全圖中位數為基準（面積比例依 fitExtent 而定，只有相對值有意義）
+ * - domain / interpolator: 色彩對應
+ * - ticks: 圖例刻度
+ */
+export const DISTORTION_METRICS = {
+  area: {
+    label: '面積比例',
+    value: (tissot) => Math.log2(tissot.areaScale),
+    relative: true,
+    domain: [-3, 3],
+    interpolator: (t) => interpolateRdBu(1 - t),
+    ticks: [
+      { value: -3, label: '⅛×' },
+      { value: 0, label: '1×' },
+      { value: 3, label: '8×' },
+    ],
+  },
+  angular: {
+    label: '最大角度變形',
+    value: (tissot) => tissot.angularDistortion,
+    relative: false,
+    domain: [0, 90],
+    interpolator: interpolateYlOrRd,
+    ticks: [
+      { value: 0, label: '0°' },
+      { value: 45, label: '45°' },
+      { value: 90, label: '≥90°' },
+    ],
+  },
+};
+
+// 熱圖最多取樣的格數，超過時自動加大格子尺寸
+const MAX_RASTER_CELLS = 40000;
+
+// 無 invert 時的經緯網格取樣間距（度）
+const FORWARD_GRID_STEP = 3;
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const safeInvert = (projection, point) => {
+  try {
+    const coordinates = projection.invert(point);
+    return isFinitePoint(coordinates) ? coordinates : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * 🔁 以 invert 逐格取樣：每個像素格反投影回經緯度後計算變形
+ * 反投影結果必須能投影回同一格，以排除分瓣間隙等投影範圍外的區域
+ */
+const sampleByInvert = (projection, width, height, metric) => {
+  const cellSize = Math.max(3, Math.ceil(Math.sqrt((width * height) / MAX_RASTER_CELLS)));
+  const cells = [];
+  for (let y = 0; y < height; y += cellSize) {
+    for (let x = 0; x < width; x += cellSize) {
+      const center = [x + cellSize / 2, y + cellSize / 2];
+      const coordinates = safeInvert(projection, center);
+      if (!coordinates) continue;
+      const roundTrip = projection(coordinates);
+      if (!isFinitePoint(roundTrip)) continue;
+      if (length([roundTrip[0] - center[0], roundTrip[1] - center[1]]) > cellSize / 2) continue;
+      const tissot = computeTissot(projection, coordinates);
+      const value = tissot ? metric.value(tissot) : NaN;
+      if (!Number.isFinite(value)) continue;
+      cells.push({ value, draw: (context) => context.fillRect(x, y, cellSize, cellSize) });
+    }
+  }
+  return cells;
+};
+
+/**
+ * ➡️ 無法反投影時的備援：在經緯網格上正向投影每個網格四邊形並填色
+ */
+const sampleByForward = (projection, width, height, metric) => {
+  const step = FORWARD_GRID_STEP;
+  const maxEdge = Math.max(width, height) / 4;
+  const cells = [];
+  for (let lat = -90; lat < 90; lat += step) {
+    for (let lon = -180; lon < 180; lon += step) {
+      const center = [lon + step / 2, lat + step / 2];
+      if (!isPointVisible(projection, center)) continue;
+      const corners = [
+        [lon, lat],
+        [lon + step, lat],
+        [lon + step, lat + step],
+        [lon, lat + step],
+      ].map((corner) => projection(corner));
+      if (!corners.every(isFinitePoint)) continue;
+      // 跨越接縫的網格在螢幕上會被拉得很長，直接略過
+      const spansSeam = corners.some((corner, i) => {
+        const next = corners[(i + 1) % corners.length];
+        return length([next[0] - corner[0], next[1] - corner[1]]) > maxEdge;
+      });
+      if (spansSeam) continue;
+      const tissot = computeTissot(projection, center);
+      const value = tissot ? metric.value(tissot) : NaN;
+      if (!Number.isFinite(value)) continue;
+      cells.push({
+        value,
+        draw: (context) => {
+          context.beginPath();
+          corners.forEach(([x, y], i) => (i ? context.lineTo(x, y) : context.moveTo(x, y)));
+          context.closePath();
+          context.fill();
+        },
+      });
+    }
+  }
+  return cells;
+};
+
+/**
+ * 🌡️ 將投影的局部變形繪製成熱圖
+ *
+ * 有 invert 時逐像素格反投影取樣；沒有 invert（或反投影失敗）時改用經緯網格正向取樣。
+ *
+ * @param {CanvasRenderingContext2D} context - 繪製目標（尺寸需與地圖相同）
+ * @param {Function} projection - D3 投影
+ * @param {Object} options
+ * @param {number} options.width - 地圖寬度（像素）
+ * @param {number} options.height - 地圖高度（像素）
+ * @param {string} options.metric - DISTORTION_METRICS 的鍵值（'area' 或 'angular'）
+ * @returns {{method: string, cells: number}|null} 使用的取樣方式與繪製格數；指標無效時回傳 null
+ */
+export const drawDistortionRaster = (context, projection, { width, height, metric }) => {
+  const definition = DISTORTION_METRICS[metric];
+  if (!definition || typeof projection !== 'function') return null;
+
+  let method = 'invert';
+  let cells =
+    typeof projection.invert === 'function'
+      ? sampleByInvert(projection, width, height, definition)
+      : [];
+  if (!cells.length) {
+    method = 'forward';
+    cells = sampleByForward(projection, width, height, definition);
+  }
+
+  const offset = definition.relative ? median(cells.map(({ value }) => value)) : 0;
+  const color = scaleSequential(definition.interpolator).domain(definition.domain).clamp(true);
+
+  context.clearRect(0, 0, width, height);
+  cells.forEach(({ value, draw }) => {
+    context.fillStyle = color(value - offset);
+    draw(context);
+  });
+
+  return { method, cells: cells.length };
+};
@@ -0,0 +1,196 @@
+/**
+ * 🌐 經緯網工具 (Graticule Utilities)
+ *
+ * 產生經緯網、特殊緯線與參考線的 GeoJSON，並計算經緯網在地圖邊緣的度數標籤。
+ * 主要功能：
+ * - 以 d3.geoGraticule 產生主、次經緯網
+ * - 南北回歸線與南北極圈
+ * - 通過任意一點的經線、對蹠經線與緯線（參考線）
+ * - 經緯網標籤：沿每條主經緯線取樣，找出線段離開可見範圍的位置
+ *
+ * 所有函數只依賴 D3 投影，因此適用於 dataStore 中的每一種投影。
+ */
+
+import { geoGraticule } from 'd3';
+import { isPointVisible } from './distortion.js';
+
+// 地球自轉軸傾角（度），決定回歸線與極圈的緯度
+const OBLIQUITY = 23.4365;
+
+/**
+ * 🌐 建立主、次經緯網
+ * @param {Object} options
+ * @param {number} options.step - 次經緯網間距（度）
+ * @param {number} options.majorStep - 主經緯網間距（度）
+ * @returns {{minor: Object, major: Object}} 兩個 MultiLineString
+ */
+export const createGraticuleLines = ({ step, majorStep }) => {
+  const extent = [
+    [-180, -90],
+    [180, 90],
+  ];
+  return {
+    minor: geoGraticule().extent(extent).step([step, step])(),
+    major: geoGraticule().extent(extent).step([majorStep, majorStep])(),
+  };
+};
+
+/**
+ * 📏 建立緯線
+ * 緯線不是大圓，以 1° 間距取點避免投影時被拉成大圓弧
+ * @param {number} lat - 緯度
+ * @returns {Object} LineString
+ */
+const createParallel = (lat) => {
+  const coordinates = [];
+  for (let lon = -180; lon <= 180; lon += 1) {
+    coordinates.push([lon, lat]);
+  }
+  return { type: 'LineString', coordinates };
+};
+
+/**
+ * 📏 建立經線
+ * @param {number} lon - 經度
+ * @returns {Object} LineString
+ */
+const createMeridian = (lon) => {
+  const coordinates = [];
+  for (let lat = -90; lat <= 90; lat += 1) {
+    coordinates.push([lon, lat]);
+  }
+  return { type: 'LineString', coordinates };
+};
+
+/**
+ * ☀️ 建立回歸線與極圈
+ * @param {Object} options
+ * @param {boolean} [options.tropics=false] - 是否包含南北回歸線
+ * @param {boolean} [options.polarCircles=false] - 是否包含南北極圈
+ * @returns {Array<Object>} GeoJSON Feature 陣列，properties.kind 為 'tropic' 或 'polar'
+ */
+export const createSpecialParallels = ({ tropics = false, polarCircles = false } = {}) => {
+  const parallels = [];
+  if (tropics) {
+    parallels.push(
+      ['tropic-cancer', 'tropic', OBLIQUITY],
+      ['tropic-capricorn', 'tropic', -OBLIQUITY]
+    );
+  }
+  if (polarCircles) {
+    parallels.push(
+      ['arctic-circle', 'polar', 90 - OBLIQUITY],
+      ['antarctic-circle', 'polar', OBLIQUITY - 90]
+    );
+  }
+  return parallels.map(([id, kind, lat]) => ({
+    id,
+    type: 'Feature',
+    properties: { kind },
+    geometry: createParallel(lat),
+  }));
+};
+
+/**
+ * 📍 建立通過指定點的參考線
+ * 包含通過該點的經線、對蹠經線（經度 ±180°）與緯線
+ * @param {Array<number>} point - [經度, 緯度]
+ * @param {string} prefix - Feature id 前綴
+ * @returns {Array<Object>} GeoJSON Feature 陣列
+ */
+export const createGuideLines = ([lon, lat], prefix) => [
+  { id: `${prefix}-longitude-east`, type: 'Feature', geometry: createMeridian(lon) },
+  {
+    id: `${prefix}-longitude-west`,
+    type: 'Feature',
+    geometry: createMeridian(lon > 0 ? lon - 180 : lon + 180),
+  },
+  { id: `${prefix}-latitude`, type: 'Feature', geometry: createParallel(lat) },
+];
+
+/**
+ * 🔤 格式化經緯度標籤
+ * @param {number} value - 度數
+ * @param {string} axis - 'lon' 或 'lat'
+ * @returns {string} 例如 30°E、45°S、0°、180°
+ */
+export const formatDegrees = (value, axis) => {
+  const rounded = Math.round(value * 100) / 100;
+  if (rounded === 0 || (axis === 'lon' && Math.abs(rounded) === 180)) {
+    return `${Math.abs(rounded)}°`;
+  }
+  const hemisphere = axis === 'lon' ? (rounded > 0 ? 'E' : 'W') : rounded > 0 ? 'N' : 'S';
+  return `${Math.abs(rounded)}°${hemisphere}`;
+};
+
+/**
+ * 🔤 計算經緯網邊緣標籤
+ *
+ * 沿每條主經緯線以 1° 取樣，找出可見線段的端點（線段離開球面裁剪範圍或畫面的位置）：
+ * 經線取畫面上最下方的端點，緯線取最左方的端點；與既有標籤距離過近的標籤會略過。
+ *
+ * @param {Function} projection - D3 投影
+ * @param {Object} options
+ * @param {number} options.majorStep - 主經緯網間距（度）
+ * @param {number} options.width - 畫面寬度（像素）
+ * @param {number} options.height - 畫面高度（像素）
+ * @param {number} [options.minDistance=24] - 標籤之間的最小距離（像素）
+ * @returns {Array<{axis: string, value: number, text: string, x: number, y: number}>}
+ */
+export const computeGraticuleLabels = (
+  projection,
+  { majorStep, width, height, minDistance = 24 }
+) => {
+  const project = (coordinates) => {
+    if (!isPointVisible(projection, coordinates)) return null;
+    const point = projection(coordinates);
+    if (!point || !point.every(Number.isFinite)) return null;
+    const [x, y] = point;
+    return x >= 0 && x <= width && y >= 0 && y <= height ? point : null;
+  };
+
+  // 可見線段的端點（每段的第一個與最後一個可見取樣點）
+  const findEndpoints = (samples) => {
+    const endpoints = [];
+    samples.forEach((point, index) => {
+      if (!point) return;
+      if (!samples[index - 1] || !samples[index + 1]) endpoints.push(point);
+    });
+    return endpoints;
+  };
+
+  const range = (min, max) => {
+    const values = [];
+    for (let value = Math.ceil(min / majorStep) * majorStep; value <= max; value += majorStep) {
+      values.push(value);
+    }
+    return values;
+  };
+
+  const candidates = [];
+
+  range(-180, 179.999).forEach((lon) => {
+    const samples = [];
+    for (let lat = -90; lat <= 90; lat += 1) samples.push(project([lon, lat]));
+    const endpoints = findEndpoints(samples);
+    if (!endpoints.length) return;
+    const [x, y] = endpoints.reduce((best, point) => (point[1] > best[1] ? point : best));
+    candidates.push({ axis: 'lon', value: lon, text: formatDegrees(lon, 'lon'), x, y });
+  });
+
+  range(-89.999, 89.999).forEach((lat) => {
+    const samples = [];
+    for (let lon = -180; lon <= 180; lon += 1) samples.push(project([lon, lat]));
+    const endpoints = findEndpoints(samples);
+    if (!endpoints.length) return;
+    const [x, y] = endpoints.reduce((best, point) => (point[0] < best[0] ? point : best));
+    candidates.push({ axis: 'lat', value: lat, text: formatDegrees(lat, 'lat'), x, y });
+  });
+
+  return candidates.reduce((labels, label) => {
+    const crowded = labels.some(
+      (other) => Math.hypot(other.x - label.x, other.y - label.y) < minDistance
+    );
+    return crowded ? labels : [...labels, label];
+  }, []);
+};
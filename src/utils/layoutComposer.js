@@ -0,0 +1,213 @@
+/**
+ * 🧩 版面編排工具 (Layout Composer)
+ *
+ * 在地圖上疊加標題、副標題、圖例、指北、投影資訊、資料來源與作者等版面元素，
+ * 畫面預覽與匯出使用同一份 SVG，確保位置一致。
+ *
+ * 版面格式：
+ * - texts: { title, subtitle, attribution, author } 文字內容
+ * - elements: { 元素: { visible, x, y } }，x、y 為元素左上角相對地圖寬高的比例（0–1）
+ *
+ * 字級以地圖短邊的 1/100 為單位，不同紙張尺寸下版面比例相同。文字以 SVG text 輸出，
+ * 由瀏覽器字型繪製中日韓文字（匯出 PNG 與 PDF 時先點陣化）。
+ */
+
+// 版面元素
+export const LAYOUT_ELEMENTS = {
+  title: '標題',
+  subtitle: '副標題',
+  legend: '圖例',
+  north: '指北',
+  projection: '投影資訊',
+  attribution: '資料來源',
+  author: '作者',
+};
+
+// 預設版面
+export const DEFAULT_LAYOUT = Object.freeze({
+  texts: { title: '', subtitle: '', attribution: '資料來源：Natural Earth', author: '' },
+  elements: {
+    title: { visible: true, x: 0.04, y: 0.04 },
+    subtitle: { visible: true, x: 0.04, y: 0.11 },
+    legend: { visible: true, x: 0.04, y: 0.7 },
+    north: { visible: true, x: 0.93, y: 0.04 },
+    projection: { visible: true, x: 0.68, y: 0.74 },
+    attribution: { visible: true, x: 0.04, y: 0.95 },
+    author: { visible: true, x: 0.68, y: 0.95 },
+  },
+});
+
+// 支援中日韓文字的字型
+const FONT_FAMILY = "'Noto Sans TC', 'PingFang TC', 'Microsoft JhengHei', 'Roboto', sans-serif";
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// SVG 座標取到小數點後兩位
+const round = (value) => Math.round(value * 100) / 100;
+
+const clamp01 = (value, fallback) =>
+  Number.isFinite(Number(value)) ? Math.max(0, Math.min(1, Number(value))) : fallback;
+
+/**
+ * 🧾 整理版面
+ * 補上缺少的元素與文字，位置限制在 0–1；用於讀取儲存的範本
+ * @param {Object} layout - 版面（可不完整）
+ * @returns {Object} 完整的版面
+ */
+export const normalizeLayout = (layout) => {
+  const texts = Object.fromEntries(
+    Object.entries(DEFAULT_LAYOUT.texts).map(([key, fallback]) => [
+      key,
+      typeof layout?.texts?.[key] === 'string' ? layout.texts[key] : fallback,
+    ])
+  );
+  const elements = Object.fromEntries(
+    Object.entries(DEFAULT_LAYOUT.elements).map(([key, fallback]) => {
+      const element = layout?.elements?.[key] || {};
+      return [
+        key,
+        {
+          visible: typeof element.visible === 'boolean' ? element.visible : fallback.visible,
+          x: clamp01(element.x, fallback.x),
+          y: clamp01(element.y, fallback.y),
+        },
+      ];
+    })
+  );
+  return { texts, elements };
+};
+
+/**
+ * 🧭 計算指北方向
+ * 比較中心點與其北方一點的投影位置；多數投影的北方隨位置改變，指北只對中心點成立
+ * @param {Function} projection - D3 投影
+ * @param {Array<number>} point - [經度, 緯度]
+ * @returns {number|null} 北方相對畫面上方的順時針角度（度）；點不在投影範圍內時回傳 null
+ */
+export const computeNorthAngle = (projection, [lon, lat]) => {
+  // 接近北極時改取南方一點，再反轉方向
+  const step = lat > 89 ? -0.1 : 0.1;
+  const from = projection([lon, lat]);
+  const to = projection([lon, lat + step]);
+  if (!from || !to || ![...from, ...to].every(Number.isFinite)) return null;
+  const dx = (to[0] - from[0]) * Math.sign(step);
+  const dy = (to[1] - from[1]) * Math.sign(step);
+  if (Math.hypot(dx, dy) < 1e-9) return null;
+  return (Math.atan2(dx, -dy) * 180) / Math.PI;
+};
+
+/**
+ * 📏 計算名目比例尺
+ * 以投影比例尺（地球半徑的像素數）換算紙上長度；實際比例隨位置與方向改變
+ * @param {Function} projection - D3 投影
+ * @param {number} [dpi=96] - 每英吋像素數（SVG 與 CSS 為 96）
+ * @returns {number|null} 比例尺分母（取兩位有效數字）
+ */
+export const computeNominalScale = (projection, dpi = 96) => {
+  const scale = projection?.scale?.();
+  if (!Number.isFinite(scale) || scale <= 0) return null;
+  const denominator = EARTH_RADIUS_METERS / ((scale * 0.0254) / dpi);
+  const magnitude = 10 ** (Math.floor(Math.log10(denominator)) - 1);
+  return Math.round(denominator / magnitude) * magnitude;
+};
+
+const escapeXml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+// 估計文字寬度：中日韓字元約 1em，其餘約 0.6em
+const estimateTextWidth = (text, fontSize) =>
+  [...String(text)].reduce((width, char) => width + (/[⺀-￿]/.test(char) ? 1 : 0.6) * fontSize, 0);
+
+const textLine = (text, { x = 0, y, size, weight = 'normal', fill = '#222222', halo = true }) =>
+  `<text x="${round(x)}" y="${round(y)}" font-size="${round(size)}" font-weight="${weight}" fill="${fill}"${
+    halo
+      ? ` stroke="#ffffff" stroke-width="${round(size / 6)}" stroke-linejoin="round" paint-order="stroke"`
+      : ''
+  } dominant-baseline="hanging">${escapeXml(text)}</text>`;
+
+const panel = (width, height, padding) =>
+  `<rect x="${-padding}" y="${-padding}" width="${round(width + padding * 2)}" height="${round(
+    height + padding * 2
+  )}" rx="${round(padding / 2)}" fill="#ffffff" fill-opacity="0.85" stroke="#cccccc" stroke-width="0.5"/>`;
+
+/**
+ * 🧩 繪製版面元素
+ *
+ * @param {Object} layout - 版面（見 normalizeLayout）
+ * @param {Object} content - 由地圖狀態產生的內容
+ * @param {Array<{label: string, color: string}>} [content.legend=[]] - 圖例項目
+ * @param {Array<string>} [content.projection=[]] - 投影資訊的各行文字
+ * @param {number|null} [content.northAngle=null] - computeNorthAngle 的結果；null 時不繪製指北
+ * @param {Object} size - { width, height }（px）
+ * @returns {string} `<g class="map-layout">` 的 SVG 片段；每個元素為帶有 data-element 的 `<g>`
+ */
+export const renderLayoutSvg = (layout, content, { width, height }) => {
+  const { texts, elements } = normalizeLayout(layout);
+  const unit = round(Math.min(width, height) / 100);
+  const { legend = [], projection = [], northAngle = null } = content;
+
+  const renderers = {
+    title: () => texts.title && textLine(texts.title, { y: 0, size: 4.5 * unit, weight: 'bold' }),
+    subtitle: () => texts.subtitle && textLine(texts.subtitle, { y: 0, size: 2.6 * unit }),
+    legend: () => {
+      if (!legend.length) return '';
+      const size = 1.8 * unit;
+      const row = 2.8 * unit;
+      const textWidth = Math.max(...legend.map((item) => estimateTextWidth(item.label, size)));
+      const rows = legend.map(
+        (item, index) =>
+          `<rect x="0" y="${round(index * row)}" width="${round(2 * unit)}" height="${round(size)}" fill="${escapeXml(
+            item.color
+          )}" stroke="#666666" stroke-width="0.5"/>` +
+          textLine(item.label, { x: 3 * unit, y: index * row, size, halo: false })
+      );
+      return panel(3 * unit + textWidth, legend.length * row - (row - size), unit) + rows.join('');
+    },
+    north: () => {
+      if (northAngle === null) return '';
+      const half = round(3 * unit);
+      const tip = round(half * 0.6);
+      const wing = round(half * 0.4);
+      return (
+        `<g transform="translate(${half}, ${half}) rotate(${round(northAngle)})">` +
+        `<path d="M0,${-half} L${wing},${tip} L0,${round(half * 0.3)} L${-wing},${tip} Z" fill="#222222" stroke="#ffffff" stroke-width="${round(unit / 4)}"/>` +
+        `<text x="0" y="${round(-half - unit / 2)}" font-size="${round(2 * unit)}" font-weight="bold" fill="#222222" stroke="#ffffff" stroke-width="${round(unit / 3)}" paint-order="stroke" text-anchor="middle">N</text>` +
+        '</g>'
+      );
+    },
+    projection: () => {
+      if (!projection.length) return '';
+      const size = 1.6 * unit;
+      const row = 2.2 * unit;
+      const textWidth = Math.max(...projection.map((line) => estimateTextWidth(line, size)));
+      const lines = projection.map((line, index) =>
+        textLine(line, {
+          y: index * row,
+          size,
+          weight: index === 0 ? 'bold' : 'normal',
+          halo: false,
+        })
+      );
+      return panel(textWidth, projection.length * row - (row - size), unit) + lines.join('');
+    },
+    attribution: () =>
+      texts.attribution && textLine(texts.attribution, { y: 0, size: 1.5 * unit, fill: '#444444' }),
+    author: () =>
+      texts.author && textLine(texts.author, { y: 0, size: 1.5 * unit, fill: '#444444' }),
+  };
+
+  const groups = Object.entries(elements)
+    .filter(([, element]) => element.visible)
+    .map(([key, element]) => {
+      const body = renderers[key]();
+      if (!body) return '';
+      const x = Math.round(element.x * width * 10) / 10;
+      const y = Math.round(element.y * height * 10) / 10;
+      return `<g class="layout-element" data-element="${key}" transform="translate(${x}, ${y})">${body}</g>`;
+    })
+    .filter(Boolean);
+
+  return `<g class="map-layout" font-family="${escapeXml(FONT_FAMILY)}">${groups.join('')}</g>`;
+};
@@ -0,0 +1,232 @@
+/**
+ * 🖼️ 地圖匯出工具 (Map Export Utilities)
+ *
+ * 將地圖 SVG 匯出為獨立的 SVG 檔、指定 DPI 的 PNG 或單頁 PDF：
+ * - SVG：複製節點並把計算後的樣式寫入每個元素的 style，裁剪路徑等 defs 一併保留，
+ *   不依賴頁面的 CSS 也能正確顯示
+ * - PNG：以瀏覽器繪製 SVG 後縮放到目標 DPI，並寫入 pHYs 區塊讓影像軟體得知列印尺寸
+ * - PDF：將 PNG 放入與紙張同尺寸的頁面，文字由瀏覽器字型繪製，中日韓文字不受 jsPDF 內建字型限制
+ *
+ * 紙張尺寸以 CSS 像素（96 DPI）換算，地圖依紙張尺寸重新適應投影（見 MapTab 的 setExportSize）。
+ */
+
+import { jsPDF } from 'jspdf';
+
+// 紙張尺寸（直式，mm）
+export const PAPER_SIZES = {
+  A4: { label: 'A4', width: 210, height: 297 },
+  A3: { label: 'A3', width: 297, height: 420 },
+  Letter: { label: 'Letter', width: 215.9, height: 279.4 },
+};
+
+// PNG 可選的解析度
+export const EXPORT_DPI_OPTIONS = [96, 150, 300, 600];
+
+// SVG 與 CSS 的基準解析度
+const CSS_DPI = 96;
+const MM_PER_INCH = 25.4;
+// 多數瀏覽器 canvas 單邊的上限
+const MAX_CANVAS_SIZE = 16384;
+// 下載開始前不能釋放 blob 網址；Firefox 與 Safari 會在 click 之後才非同步讀取
+const REVOKE_DELAY = 60000;
+
+// 寫入 style 的樣式屬性
+const STYLE_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'fill-rule',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-dasharray',
+  'stroke-linecap',
+  'stroke-linejoin',
+  'opacity',
+  'visibility',
+  'font-family',
+  'font-size',
+  'font-style',
+  'font-weight',
+  'text-anchor',
+  'dominant-baseline',
+  'paint-order',
+];
+
+/**
+ * 📄 取得紙張的匯出尺寸
+ * @param {string} paper - PAPER_SIZES 的鍵值
+ * @param {string} [orientation='landscape'] - 'portrait' 或 'landscape'
+ * @returns {{widthMm: number, heightMm: number, width: number, height: number}|null}
+ *   width/height 為 96 DPI 的像素；找不到紙張時回傳 null
+ */
+export const getPaperSize = (paper, orientation = 'landscape') => {
+  const size = PAPER_SIZES[paper];
+  if (!size) return null;
+  const [widthMm, heightMm] =
+    orientation === 'portrait' ? [size.width, size.height] : [size.height, size.width];
+  const toPixels = (mm) => Math.round((mm / MM_PER_INCH) * CSS_DPI);
+  return { widthMm, heightMm, width: toPixels(widthMm), height: toPixels(heightMm) };
+};
+
+/**
+ * 🧾 將 SVG 序列化為獨立檔案
+ *
+ * @param {SVGSVGElement} svgNode - 地圖的 SVG 元素（需在文件中才能取得計算後的樣式）
+ * @param {Object} [options]
+ * @param {number} [options.widthMm] - 紙張寬度；有紙張尺寸時 width/height 以 mm 標示
+ * @param {number} [options.heightMm] - 紙張高度
+ * @returns {string} SVG 文字（含 XML 宣告）
+ */
+export const serializeSvg = (svgNode, { widthMm, heightMm } = {}) => {
+  const clone = svgNode.cloneNode(true);
+  const sources = [svgNode, ...svgNode.querySelectorAll('*')];
+  const targets = [clone, ...clone.querySelectorAll('*')];
+
+  sources.forEach((source, index) => {
+    const computed = window.getComputedStyle(source);
+    const style = STYLE_PROPERTIES.map((property) => {
+      const value = computed.getPropertyValue(property);
+      return value ? `${property}:${value}` : null;
+    }).filter(Boolean);
+    const inline = targets[index].getAttribute('style');
+    targets[index].setAttribute('style', [inline, ...style].filter(Boolean).join(';'));
+  });
+
+  const width = Number(svgNode.getAttribute('width')) || svgNode.getBoundingClientRect().width;
+  const height = Number(svgNode.getAttribute('height')) || svgNode.getBoundingClientRect().height;
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  clone.setAttribute('width', widthMm ? `${widthMm}mm` : width);
+  clone.setAttribute('height', heightMm ? `${heightMm}mm` : height);
+
+  // 背景色改以矩形繪製，不支援 CSS background 的軟體也能顯示
+  const background = window.getComputedStyle(svgNode).backgroundColor;
+  if (background && background !== 'rgba(0, 0, 0, 0)') {
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('width', width);
+    rect.setAttribute('height', height);
+    rect.setAttribute('fill', background);
+    clone.insertBefore(rect, clone.firstChild);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  bytes.forEach((byte) => {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * 📏 在 PNG 寫入解析度（pHYs 區塊）
+ * @param {Uint8Array} png - PNG 檔案內容
+ * @param {number} dpi - 解析度
+ * @returns {Uint8Array} 在 IHDR 之後插入 pHYs 區塊的 PNG
+ */
+export const setPngDpi = (png, dpi) => {
+  const pixelsPerMeter = Math.round(dpi / (MM_PER_INCH / 1000));
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // 單位為公尺
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // PNG 簽章 8 bytes + IHDR 區塊 25 bytes
+  const offset = 33;
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, offset));
+  result.set(chunk, offset);
+  result.set(png.subarray(offset), offset + chunk.length);
+  return result;
+};
+
+/**
+ * 🖼️ 將 SVG 轉為 PNG
+ *
+ * @param {string} svgText - serializeSvg 的結果
+ * @param {Object} options
+ * @param {number} options.width - SVG 的寬度（96 DPI 像素）
+ * @param {number} options.height - SVG 的高度（96 DPI 像素）
+ * @param {number} [options.dpi=96] - 輸出解析度
+ * @returns {Promise<Blob>} 含 pHYs 解析度資訊的 PNG
+ * @throws {Error} 輸出尺寸超過 canvas 上限或瀏覽器無法繪製 SVG 時
+ */
+export const rasterizeSvg = async (svgText, { width, height, dpi = CSS_DPI }) => {
+  const scale = dpi / CSS_DPI;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  if (Math.max(canvas.width, canvas.height) > MAX_CANVAS_SIZE) {
+    throw new Error(`輸出尺寸 ${canvas.width}×${canvas.height} 超過瀏覽器上限，請降低 DPI`);
+  }
+
+  const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('瀏覽器無法繪製 SVG'));
+      img.src = url;
+    });
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('PNG 編碼失敗'))),
+      'image/png'
+    );
+  });
+  const png = new Uint8Array(await blob.arrayBuffer());
+  return new Blob([setPngDpi(png, dpi)], { type: 'image/png' });
+};
+
+/**
+ * 📄 將 PNG 放入單頁 PDF
+ * @param {Blob} png - rasterizeSvg 的結果
+ * @param {Object} size - 頁面尺寸
+ * @param {number} size.width - 寬度（有紙張尺寸時為 mm，否則為 96 DPI 像素）
+ * @param {number} size.height - 高度
+ * @param {string} [size.unit='px'] - 'mm' 或 'px'
+ * @returns {Promise<Blob>} PDF
+ */
+export const createImagePdf = async (png, { width, height, unit = 'px' }) => {
+  const pdf = new jsPDF({
+    orientation: width >= height ? 'landscape' : 'portrait',
+    unit,
+    format: [width, height],
+  });
+  pdf.addImage(new Uint8Array(await png.arrayBuffer()), 'PNG', 0, 0, width, height);
+  return pdf.output('blob');
+};
+
+/**
+ * 💾 下載檔案
+ * @param {Blob} blob - 檔案內容
+ * @param {string} fileName - 檔名
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+};
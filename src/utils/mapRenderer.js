@@ -0,0 +1,231 @@
+/**
+ * 🖌️ 地圖繪製工具 (Map Renderer)
+ *
+ * 不依賴瀏覽器與 Vue 的繪製函式：
+ * - fitProjection：依投影註冊表建立投影、套用旋轉並適應版面，MapTab 與離線繪製共用
+ * - renderMapSvg：將國家圖徵繪製為 SVG 文字，可在 Node 中批次產生投影圖片
+ *   （見 scripts/render-catalog.mjs）
+ *
+ * DEFAULT_MAP_STYLE 同時是 MapTab 國家填色模式、球面外框與經緯網的樣式，兩者共用同一份設定。
+ */
+
+import { geoPath } from 'd3';
+import { createRegisteredProjection, getProjectionDefinition } from './projectionRegistry.js';
+import { createGraticuleLines } from './graticule.js';
+import { getCountryCode } from './countries.js';
+
+// 預設樣式
+export const DEFAULT_MAP_STYLE = Object.freeze({
+  background: '#cecece',
+  land: '#999999',
+  border: 'none',
+  borderWidth: 0.3,
+  sphere: '#999999',
+  sphereWidth: 2,
+  graticule: null,
+  graticuleColor: '#555555',
+  // 次經緯網與主經緯網的透明度與寬度
+  graticuleLines: Object.freeze({
+    minor: Object.freeze({ opacity: 0.35, width: 0.4 }),
+    major: Object.freeze({ opacity: 0.7, width: 0.8 }),
+  }),
+  highlight: {},
+});
+
+// 版面邊距（px）
+export const MAP_PADDING = 32;
+
+/**
+ * 🧭 建立並適應投影
+ *
+ * @param {string} id - 投影 ID
+ * @param {Object} options
+ * @param {number} options.width - 版面寬度（px）
+ * @param {number} options.height - 版面高度（px）
+ * @param {Object} [options.params={}] - 覆寫的投影參數
+ * @param {Array<number>} [options.rotation=[0, 0, 0]] - 旋轉 [λ, φ, γ]
+ * @param {string} [options.viewMode='world'] - 'world' 或 'focus'
+ * @param {Object} [options.fitTarget] - 要適應的 GeoJSON；預設為整個球面
+ * @param {number} [options.fitScaleFactor] - 適應球面後的放大倍率；預設使用註冊表設定
+ * @param {number} [options.padding=MAP_PADDING] - 版面邊距
+ * @returns {Function} D3 投影
+ * @throws {Error} 註冊表中沒有此投影類型時
+ */
+export const fitProjection = (
+  id,
+  {
+    width,
+    height,
+    params = {},
+    rotation = [0, 0, 0],
+    viewMode = 'world',
+    fitTarget = { type: 'Sphere' },
+    fitScaleFactor,
+    padding = MAP_PADDING,
+  }
+) => {
+  const definition = getProjectionDefinition(id);
+  if (!definition) {
+    throw new Error(`找不到投影類型: ${id}`);
+  }
+
+  const proj = createRegisteredProjection(id, params);
+  // 焦點檢視下的圓錐投影只沿經度旋轉：標準緯線是以旋轉後的座標計算，
+  // 保留地軸方向才能讓區域預設的標準緯線對應到實際緯度
+  const appliedRotation =
+    viewMode === 'focus' && definition.supports.parallels
+      ? [rotation[0], 0, rotation[2]]
+      : rotation;
+  if (proj.rotate) {
+    try {
+      proj.rotate(appliedRotation);
+    } catch {
+      // 部分投影（如多面體投影）不接受三軸旋轉，保留預設方向
+    }
+  }
+
+  const extent = [
+    [padding, padding],
+    [width - padding, height - padding],
+  ];
+  const scaleFactor = fitScaleFactor ?? definition.fitScaleFactor;
+  const fitCenter = () => {
+    if (proj.scale && proj.translate) {
+      proj.scale(Math.min(width, height) / 2 - padding).translate([width / 2, height / 2]);
+    }
+  };
+
+  try {
+    if (proj.fitExtent) {
+      if (scaleFactor !== 1 && fitTarget.type === 'Sphere') {
+        proj.fitExtent(extent, fitTarget);
+        proj.scale(proj.scale() * scaleFactor);
+      } else if (definition.supports.center && proj.center && viewMode === 'world') {
+        proj.center([0, 0]).fitExtent(extent, fitTarget);
+      } else {
+        proj.fitExtent(extent, fitTarget);
+      }
+    } else {
+      fitCenter();
+    }
+  } catch {
+    // fitExtent 對部分參數組合會失敗，退回以短邊為直徑置中
+    fitCenter();
+  }
+
+  return proj;
+};
+
+const escapeXml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+const attributes = (values) =>
+  Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+    .join(' ');
+
+/**
+ * 🖌️ 將地圖繪製為 SVG 文字
+ *
+ * @param {Array<Object>|Object} features - 國家圖徵陣列或 FeatureCollection
+ * @param {Object} config - 投影設定（id 以外的欄位見 fitProjection）
+ * @param {string} config.id - 投影 ID
+ * @param {Object} size - { width, height, padding }（px）
+ * @param {Object} [style] - 覆寫 DEFAULT_MAP_STYLE 的欄位：
+ *   - highlight: { 國家代碼: 顏色 }
+ *   - graticule: { step, majorStep } 時繪製經緯網，null 時省略
+ *   - border / borderWidth: 國界顏色與寬度（'none' 不繪製）
+ *   - title: 地圖左上角的標題（省略則不繪製）
+ * @returns {string} 獨立的 SVG 文字（含 XML 宣告）
+ *
+ * @example
+ * const svg = renderMapSvg(world.features, { id: 'Mollweide' }, { width: 1600, height: 900 }, {
+ *   highlight: { TWN: '#ff0000' },
+ * });
+ */
+export const renderMapSvg = (features, config, size, style = {}) => {
+  const { id, ...options } = config;
+  const { width, height, padding = MAP_PADDING } = size;
+  const theme = { ...DEFAULT_MAP_STYLE, ...style };
+  const list = Array.isArray(features) ? features : features?.features || [];
+
+  const projection = fitProjection(id, { ...options, width, height, padding });
+  const path = geoPath(projection).digits(2);
+  const sphere = path({ type: 'Sphere' }) || '';
+
+  const countries = list
+    .map((feature) => {
+      const d = path(feature);
+      if (!d) return null;
+      const code = getCountryCode(feature);
+      return `<path ${attributes({
+        class: 'country',
+        'data-code': code,
+        d,
+        fill: theme.highlight[code] || theme.land,
+        stroke: theme.border,
+        'stroke-width': theme.border === 'none' ? null : theme.borderWidth,
+      })}/>`;
+    })
+    .filter(Boolean);
+
+  const graticule = [];
+  if (theme.graticule) {
+    const lines = createGraticuleLines(theme.graticule);
+    ['minor', 'major'].forEach((key) => {
+      const { opacity, width: strokeWidth } = theme.graticuleLines[key];
+      graticule.push(
+        `<path ${attributes({
+          class: 'graticule-line',
+          d: path(lines[key]),
+          fill: 'none',
+          stroke: theme.graticuleColor,
+          'stroke-opacity': opacity,
+          'stroke-width': strokeWidth,
+        })}/>`
+      );
+    });
+  }
+
+  const title = theme.title
+    ? `<text ${attributes({
+        x: padding,
+        y: padding - 8,
+        'font-family': 'Helvetica, Arial, sans-serif',
+        'font-size': 18,
+        'font-weight': 'bold',
+        fill: '#333333',
+      })}>${escapeXml(theme.title)}</text>`
+    : '';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attributes({
+      width,
+      height,
+      viewBox: `0 0 ${width} ${height}`,
+    })}>`,
+    `<defs><clipPath id="sphere-clip"><path d="${sphere}"/></clipPath></defs>`,
+    `<rect ${attributes({ width, height, fill: theme.background })}/>`,
+    `<g clip-path="url(#sphere-clip)">`,
+    ...countries,
+    ...graticule,
+    '</g>',
+    `<path ${attributes({
+      class: 'sphere',
+      d: sphere,
+      fill: 'none',
+      stroke: theme.sphere,
+      'stroke-width': theme.sphereWidth,
+    })}/>`,
+    title,
+    '</svg>',
+  ]
+    .filter(Boolean)
+    .join('\n')
+    .concat('\n');
+};
@@ -0,0 +1,167 @@
+/**
+ * 📏 測量工具 (Measuring Utilities)
+ *
+ * 計算球面上兩點間的大圓（測地線）與等角航線（恆向線）：
+ * - 大圓：兩點間的最短路徑，方位沿途改變；心射（Gnomonic）投影上為直線
+ * - 等角航線：以固定方位航行的路徑，較大圓長；麥卡托（Mercator）投影上為直線
+ * 自一點等距方位（Azimuthal Equidistant）投影上，通過中心的大圓為直線且距離正確。
+ *
+ * 地球視為半徑 6371.0088 km 的球體（IUGG 平均半徑），與橢球體的差異在 0.5% 以內。
+ */
+
+import { geoDistance } from 'd3';
+
+export const EARTH_RADIUS_KM = 6371.0088;
+export const KM_PER_NAUTICAL_MILE = 1.852;
+
+const RADIANS = Math.PI / 180;
+const DEGREES = 180 / Math.PI;
+// 等角航線取點間距（度），讓 D3 以大圓連接相鄰點時仍貼近等角航線
+const RHUMB_STEP = 0.5;
+// 緯度接近極點時，麥卡托緯度 ψ 發散，計算時限制在此範圍內
+const MAX_LATITUDE = 89.9999;
+
+const wrapLongitude = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+const normalizeBearing = (bearing) => ((bearing % 360) + 360) % 360;
+const clampLatitude = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+// 起點或終點在極點時，等角航線即為經線（極點的經度沒有意義，不能代入 ψ 計算）
+const isPole = (lat) => Math.abs(lat) >= 90;
+// 麥卡托緯度（等角緯度）ψ
+const mercatorLatitude = (lat) =>
+  Math.log(Math.tan(Math.PI / 4 + (clampLatitude(lat) * RADIANS) / 2));
+
+/**
+ * 🌐 大圓距離
+ * @param {Array<number>} from - [經度, 緯度]
+ * @param {Array<number>} to - [經度, 緯度]
+ * @returns {number} 距離（km）
+ */
+export const greatCircleDistance = (from, to) => geoDistance(from, to) * EARTH_RADIUS_KM;
+
+/**
+ * 🧭 大圓的初始方位
+ * @param {Array<number>} from - [經度, 緯度]
+ * @param {Array<number>} to - [經度, 緯度]
+ * @returns {number} 自正北順時針的方位角（0–360°）
+ */
+export const initialBearing = ([lon1, lat1], [lon2, lat2]) => {
+  const phi1 = lat1 * RADIANS;
+  const phi2 = lat2 * RADIANS;
+  const dLambda = (lon2 - lon1) * RADIANS;
+  const y = Math.sin(dLambda) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda);
+  return normalizeBearing(Math.atan2(y, x) * DEGREES);
+};
+
+/**
+ * 🧭 等角航線
+ * 經度差取較短的一側（不超過 180°）
+ * @param {Array<number>} from - [經度, 緯度]
+ * @param {Array<number>} to - [經度, 緯度]
+ * @returns {{distance: number, bearing: number}} 距離（km）與固定方位角（0–360°）
+ */
+export const rhumbLine = ([lon1, lat1], [lon2, lat2]) => {
+  const dPhi = (lat2 - lat1) * RADIANS;
+  if (isPole(lat1) || isPole(lat2)) {
+    return { distance: Math.abs(dPhi) * EARTH_RADIUS_KM, bearing: lat2 >= lat1 ? 0 : 180 };
+  }
+  const dPsi = mercatorLatitude(lat2) - mercatorLatitude(lat1);
+  const dLambda = wrapLongitude(lon2 - lon1) * RADIANS;
+  // 沿緯線航行時 Δψ 為 0，改用 cos φ
+  const q = Math.abs(dPsi) > 1e-12 ? dPhi / dPsi : Math.cos(lat1 * RADIANS);
+  return {
+    distance: Math.hypot(dPhi, q * dLambda) * EARTH_RADIUS_KM,
+    bearing: normalizeBearing(Math.atan2(dLambda, dPsi) * DEGREES),
+  };
+};
+
+/**
+ * 📍 等角航線取點
+ * 經度隨麥卡托緯度線性變化（沿緯線時隨參數線性變化；端點在極點時沿經線）
+ * @param {Array<number>} from - [經度, 緯度]
+ * @param {Array<number>} to - [經度, 緯度]
+ * @returns {Array<Array<number>>} 經緯度座標（經度不換算回 ±180°，D3 會在換日線處切斷）
+ */
+const sampleRhumbLine = ([lon1, lat1], [lon2, lat2]) => {
+  if (isPole(lat1) || isPole(lat2)) {
+    // 沿非極點端點的經線
+    const lon = isPole(lat2) ? lon1 : lon2;
+    const steps = Math.max(1, Math.ceil(Math.abs(lat2 - lat1) / RHUMB_STEP));
+    return Array.from({ length: steps + 1 }, (_, index) => [
+      lon,
+      lat1 + ((lat2 - lat1) * index) / steps,
+    ]);
+  }
+  const dLambda = wrapLongitude(lon2 - lon1);
+  const psi1 = mercatorLatitude(lat1);
+  const dPsi = mercatorLatitude(lat2) - psi1;
+  const steps = Math.max(
+    1,
+    Math.ceil(Math.max(Math.abs(dLambda), Math.abs(lat2 - lat1)) / RHUMB_STEP)
+  );
+  return Array.from({ length: steps + 1 }, (_, index) => {
+    const t = index / steps;
+    const lat = lat1 + (lat2 - lat1) * t;
+    const fraction = Math.abs(dPsi) > 1e-12 ? (mercatorLatitude(lat) - psi1) / dPsi : t;
+    return [lon1 + dLambda * fraction, lat];
+  });
+};
+
+/**
+ * 📏 測量折線
+ *
+ * @param {Array<Array<number>>} points - 依點選順序的 [經度, 緯度]
+ * @returns {{segments: Array<Object>, greatCircle: number, rhumb: number}}
+ *   segments 為各段的 { from, to, greatCircle, bearing, rhumb, rhumbBearing }（距離為 km，方位為度）；
+ *   greatCircle、rhumb 為總長（km）
+ *
+ * @example
+ * const { segments, greatCircle } = measurePath([[121.5, 25], [-122.4, 37.8]]);
+ */
+export const measurePath = (points) => {
+  const segments = points.slice(1).map((to, index) => {
+    const from = points[index];
+    const rhumb = rhumbLine(from, to);
+    return {
+      from,
+      to,
+      greatCircle: greatCircleDistance(from, to),
+      bearing: initialBearing(from, to),
+      rhumb: rhumb.distance,
+      rhumbBearing: rhumb.bearing,
+    };
+  });
+  return {
+    segments,
+    greatCircle: segments.reduce((sum, segment) => sum + segment.greatCircle, 0),
+    rhumb: segments.reduce((sum, segment) => sum + segment.rhumb, 0),
+  };
+};
+
+/**
+ * 🌐 建立測量線
+ * @param {Array<Array<number>>} points - 依點選順序的 [經度, 緯度]
+ * @returns {{geodesic: Object, loxodrome: Object}} 兩個 MultiLineString；
+ *   大圓各段只需兩端點（D3 以大圓連接），等角航線則密集取點
+ */
+export const createMeasureLines = (points) => {
+  const pairs = points.slice(1).map((to, index) => [points[index], to]);
+  return {
+    geodesic: { type: 'MultiLineString', coordinates: pairs },
+    loxodrome: {
+      type: 'MultiLineString',
+      coordinates: pairs.map(([from, to]) => sampleRhumbLine(from, to)),
+    },
+  };
+};
+
+/**
+ * 🔤 格式化距離
+ * @param {number} km - 距離（km）
+ * @returns {string} 例如 '10,905 km / 5,888 nmi'
+ */
+export const formatDistance = (km) => {
+  const format = (value) =>
+    value.toLocaleString('en-US', { maximumFractionDigits: value < 100 ? 1 : 0 });
+  return `${format(km)} km / ${format(km / KM_PER_NAUTICAL_MILE)} nmi`;
+};
@@ -0,0 +1,233 @@
+/**
+ * 📚 投影圖集 PDF (Projection Atlas PDF)
+ *
+ * 將多個投影輸出為一份 A4 橫式的 PDF 圖集：封面、目錄，以及每個投影一頁的向量地圖與說明欄
+ * （投影性質、參數、中心與變形統計）。地圖頁需要在切換投影後立即擷取當下的 SVG，
+ * 因此以 createAtlas 建立文件後逐頁加入，最後再回頭填寫目錄。
+ *
+ * jsPDF 內建字型只支援 Latin-1，PDF 內的文字一律使用英文。
+ */
+
+import { jsPDF } from 'jspdf';
+import { svg2pdf } from 'svg2pdf.js';
+
+// A4 橫式（pt）
+const PAGE = { width: 842, height: 595, margin: 36 };
+// 地圖頁：標題、地圖與說明欄的位置
+const MAP_TOP = 64;
+const CAPTION_HEIGHT = 96;
+const CAPTION_LINE = 12;
+// 目錄：每欄列數由頁面高度決定，每頁兩欄
+const TOC_TOP = 96;
+const TOC_LINE = 14;
+const TOC_COLUMNS = 2;
+
+const PROPERTY_NAMES = {
+  equalArea: 'Equal-area',
+  conformal: 'Conformal',
+  equidistant: 'Equidistant',
+  compromise: 'Compromise',
+};
+
+const FAMILY_NAMES = {
+  azimuthal: 'Azimuthal',
+  modifiedAzimuthal: 'Modified azimuthal',
+  conic: 'Conic',
+  polyconic: 'Polyconic',
+  cylindrical: 'Cylindrical',
+  pseudocylindrical: 'Pseudocylindrical',
+  polyhedral: 'Polyhedral',
+  interrupted: 'Interrupted',
+  other: 'Other',
+};
+
+const formatNumber = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '-');
+
+const formatValue = (value) =>
+  Array.isArray(value)
+    ? value
+        .map((item) => (Array.isArray(item) ? `(${formatValue(item)})` : formatValue(item)))
+        .join(', ')
+    : String(Math.round(value * 10000) / 10000);
+
+/**
+ * 🧾 整理地圖頁的說明欄
+ *
+ * @param {Object} entry - 投影資料
+ * @param {Array<string>} [entry.properties] - 投影性質（PROPERTY_CLASSES 的鍵值）
+ * @param {string} [entry.family] - 投影面（SURFACE_FAMILIES 的鍵值）
+ * @param {string} [entry.inventor] - 發明者
+ * @param {number|null} [entry.year] - 發表年份（西元前為負數）
+ * @param {Object} [entry.parameters] - 投影參數值（getProjectionParameterValues 的結果）
+ * @param {string} [entry.center] - 地圖中心說明
+ * @param {string} [entry.view] - 檢視模式說明
+ * @param {Object|null} [entry.stats] - 變形統計（computeDistortionStats 的結果）
+ * @returns {{details: Array<string>, distortion: Array<string>}} 左欄的投影資料與右欄的變形統計
+ */
+export const describeAtlasEntry = (entry) => {
+  const { year, stats } = entry;
+  const origin = [
+    entry.inventor,
+    Number.isFinite(year) ? (year < 0 ? `${-year} BC` : String(year)) : '',
+  ].filter(Boolean);
+  const parameters = Object.entries(entry.parameters || {}).map(
+    ([key, value]) => `${key} = ${formatValue(value)}`
+  );
+
+  const details = [
+    `Properties: ${(entry.properties || []).map((key) => PROPERTY_NAMES[key] || key).join(', ') || '-'}`,
+    `Surface: ${FAMILY_NAMES[entry.family] || '-'}`,
+    origin.length ? `Origin: ${origin.join(', ')}` : null,
+    `Parameters: ${parameters.join('; ') || 'none'}`,
+    entry.center ? `Center: ${entry.center}` : null,
+    entry.view ? `View: ${entry.view}` : null,
+  ].filter(Boolean);
+
+  const distortion = stats
+    ? [
+        `Area scale: ${formatNumber(stats.areaScaleMin)} - ${formatNumber(stats.areaScaleMax)}`,
+        `Max angular distortion: ${formatNumber(stats.angularDistortionMax, 1)}°`,
+        `Mean angular distortion: ${formatNumber(stats.angularDistortionMean, 1)}°`,
+        `Airy: ${formatNumber(stats.airy, 3)}`,
+        `Airy-Kavrayskiy: ${formatNumber(stats.airyKavrayskiy, 3)}`,
+        `Coverage: ${formatNumber(stats.coverage * 100, 0)}%`,
+      ]
+    : ['Distortion statistics unavailable'];
+
+  return { details, distortion };
+};
+
+const drawFooter = (pdf, pageNumber) => {
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor('#888888');
+  pdf.text(String(pageNumber), PAGE.width - PAGE.margin, PAGE.height - 18, { align: 'right' });
+};
+
+const drawCover = (pdf, { title, subtitle, details, count }) => {
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(32);
+  pdf.setTextColor('#000000');
+  pdf.text(title, PAGE.width / 2, PAGE.height / 2 - 40, { align: 'center' });
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(14);
+  if (subtitle) pdf.text(subtitle, PAGE.width / 2, PAGE.height / 2 - 10, { align: 'center' });
+  pdf.setFontSize(10);
+  pdf.setTextColor('#555555');
+  [`${count} projection${count === 1 ? '' : 's'}`, ...details].forEach((line, index) => {
+    pdf.text(line, PAGE.width / 2, PAGE.height / 2 + 24 + index * 14, { align: 'center' });
+  });
+};
+
+/**
+ * 📚 建立投影圖集
+ *
+ * @param {Object} options
+ * @param {string} options.title - 封面標題
+ * @param {string} [options.subtitle] - 封面副標題
+ * @param {Array<string>} [options.details=[]] - 封面的其他說明（如中心、產生日期）
+ * @param {number} options.count - 地圖頁數量，用來預留目錄頁
+ * @returns {{addMapPage: Function, save: Function}}
+ *   addMapPage(svgNode, entry) 以 SVG 向量圖加入一個投影頁（entry 另含 name，見 describeAtlasEntry）；
+ *   save(fileName) 填寫目錄並下載
+ *
+ * @example
+ * const atlas = createAtlas({ title: 'Projection Atlas', count: layers.length });
+ * for (const layer of layers) {
+ *   changeProjection(layer.layerId);
+ *   await waitForRender();
+ *   await atlas.addMapPage(getSvgNode(), { name: layer.layerName, ...layer });
+ * }
+ * atlas.save('atlas.pdf');
+ */
+export const createAtlas = ({ title, subtitle = '', details = [], count }) => {
+  const pdf = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+  const rowsPerColumn = Math.floor((PAGE.height - TOC_TOP - PAGE.margin) / TOC_LINE);
+  const tocPageCount = Math.max(1, Math.ceil(count / (rowsPerColumn * TOC_COLUMNS)));
+  const contents = [];
+
+  drawCover(pdf, { title, subtitle, details, count });
+  for (let i = 0; i < tocPageCount; i += 1) pdf.addPage();
+
+  const addMapPage = async (svgNode, entry) => {
+    pdf.addPage();
+    const pageNumber = pdf.getNumberOfPages();
+    contents.push({ name: entry.name, pageNumber });
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(18);
+    pdf.setTextColor('#000000');
+    pdf.text(entry.name, PAGE.margin, PAGE.margin + 8);
+
+    // 地圖依 SVG 長寬比縮放，置中於標題與說明欄之間
+    const rect = svgNode.getBoundingClientRect();
+    const svgWidth = Math.max(1, rect.width);
+    const svgHeight = Math.max(1, rect.height);
+    const boxWidth = PAGE.width - PAGE.margin * 2;
+    const boxHeight = PAGE.height - MAP_TOP - CAPTION_HEIGHT - PAGE.margin;
+    const scale = Math.min(boxWidth / svgWidth, boxHeight / svgHeight);
+    const width = svgWidth * scale;
+    const height = svgHeight * scale;
+    await svg2pdf(svgNode, pdf, {
+      x: PAGE.margin + (boxWidth - width) / 2,
+      y: MAP_TOP + (boxHeight - height) / 2,
+      width,
+      height,
+    });
+
+    const { details: lines, distortion } = describeAtlasEntry(entry);
+    const captionTop = PAGE.height - PAGE.margin - CAPTION_HEIGHT + 16;
+    pdf.setDrawColor('#cccccc');
+    pdf.line(PAGE.margin, captionTop - 14, PAGE.width - PAGE.margin, captionTop - 14);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.setTextColor('#333333');
+    const detailWidth = boxWidth * 0.62;
+    let y = captionTop;
+    lines.forEach((line) => {
+      pdf.splitTextToSize(line, detailWidth).forEach((part) => {
+        pdf.text(part, PAGE.margin, y);
+        y += CAPTION_LINE;
+      });
+    });
+    distortion.forEach((line, index) => {
+      pdf.text(line, PAGE.margin + detailWidth + 24, captionTop + index * CAPTION_LINE);
+    });
+    drawFooter(pdf, pageNumber);
+  };
+
+  // 目錄依加入順序分欄排列，每列連結到對應的地圖頁
+  const drawContents = () => {
+    const columnWidth = (PAGE.width - PAGE.margin * 2) / TOC_COLUMNS;
+    for (let page = 0; page < tocPageCount; page += 1) {
+      pdf.setPage(2 + page);
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(20);
+      pdf.setTextColor('#000000');
+      pdf.text(page === 0 ? 'Contents' : 'Contents (continued)', PAGE.margin, PAGE.margin + 24);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(10);
+      const start = page * rowsPerColumn * TOC_COLUMNS;
+      contents.slice(start, start + rowsPerColumn * TOC_COLUMNS).forEach((item, index) => {
+        const column = Math.floor(index / rowsPerColumn);
+        const x = PAGE.margin + column * columnWidth;
+        const y = TOC_TOP + (index % rowsPerColumn) * TOC_LINE;
+        pdf.setTextColor('#000000');
+        pdf.text(`${start + index + 1}. ${item.name}`, x, y);
+        pdf.setTextColor('#555555');
+        pdf.text(String(item.pageNumber), x + columnWidth - 24, y, { align: 'right' });
+        pdf.link(x, y - TOC_LINE + 4, columnWidth - 24, TOC_LINE, {
+          pageNumber: item.pageNumber,
+        });
+      });
+      drawFooter(pdf, 2 + page);
+    }
+  };
+
+  const save = (fileName) => {
+    drawContents();
+    pdf.save(fileName);
+  };
+
+  return { addMapPage, save };
+};
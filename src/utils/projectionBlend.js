@@ -0,0 +1,104 @@
+/**
+ * 🎞️ 投影混合工具 (Projection Blend Utilities)
+ *
+ * 在兩個已設定好（旋轉、比例尺、平移、裁剪）的 D3 投影之間做線性內插，
+ * 產生可直接交給 d3.geoPath 的混合投影，用於投影切換的形變動畫。
+ *
+ * 內插在螢幕座標上進行，因此註冊表中任意兩個投影都能互相混合，
+ * 不需要知道各自的原始投影公式。
+ */
+
+import { geoPath, geoProjectionMutator, geoRotation } from 'd3';
+
+const DEG = Math.PI / 180;
+
+// 換日線切割邊緣往內縮的經度（度）：旋轉來回換算的浮點誤差可能讓 ±180° 的點跳到另一側
+const SEAM_LONGITUDE = 180 - 1e-6;
+
+const isFinitePoint = (point) =>
+  Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]);
+
+/**
+ * 🧭 整理混合的端點投影
+ * @param {Function} projection - D3 投影
+ * @returns {{clipAngle: number|null, extent: Array|null}}
+ *   clipAngle（度，未設定為 null）與畫面上的裁剪範圍；
+ *   沒有 clipExtent 時以球面外框的邊界代替（例如 Mercator 自動裁掉的極區）
+ */
+const describeEndpoint = (projection) => {
+  // 未設定 clipAngle 時 D3 回傳 0（或 null）
+  const angle = projection.clipAngle?.();
+  const extent = projection.clipExtent?.() ?? geoPath(projection).bounds({ type: 'Sphere' });
+
+  return {
+    clipAngle: angle > 0 ? angle : null,
+    extent: extent.flat().every(Number.isFinite) ? extent : null,
+  };
+};
+
+/**
+ * 🎞️ 建立兩個投影之間的混合投影
+ *
+ * 回傳的投影多了 alpha(t) 方法：t = 0 時與 from 相同，t = 1 時與 to 相同。
+ * 混合投影使用 to 的旋轉；任一端有 clipAngle（正射、球心等）時整段動畫都套用較小的 clipAngle，
+ * 避免地平線外的點在動畫中從投影背面翻過來。裁剪範圍則隨 t 由 from 過渡到 to。
+ *
+ * @param {Function} from - 起始投影
+ * @param {Function} to - 目標投影
+ * @returns {Function} D3 投影（附 alpha 方法）
+ *
+ * @example
+ * const blend = createProjectionBlend(mercator, orthographic);
+ * d3.timer((elapsed) => {
+ *   blend.alpha(Math.min(1, elapsed / 1000));
+ *   sphere.attr('d', d3.geoPath(blend)({ type: 'Sphere' }));
+ * });
+ */
+export const createProjectionBlend = (from, to) => {
+  const start = describeEndpoint(from);
+  const end = describeEndpoint(to);
+  const rotation = to.rotate ? to.rotate() : [0, 0, 0];
+  const rotate = geoRotation(rotation);
+
+  const blendPoint = (coordinates, t) => {
+    const a = from(coordinates);
+    const b = to(coordinates);
+    const validA = isFinitePoint(a);
+    const validB = isFinitePoint(b);
+    if (validA && validB) return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    if (validA) return a;
+    return validB ? b : null;
+  };
+
+  // 原始投影接收旋轉後的弧度座標；先轉回經緯度，再交給兩端的完整投影
+  const mutate = geoProjectionMutator((t) => (lambda, phi) => {
+    const longitude = Math.max(-SEAM_LONGITUDE, Math.min(SEAM_LONGITUDE, lambda / DEG));
+    const point = blendPoint(rotate.invert([longitude, phi / DEG]), t);
+    // geoProjection 會翻轉 y 軸，這裡先翻回來讓 scale(1) 對應螢幕座標
+    return point ? [point[0], -point[1]] : [NaN, NaN];
+  });
+
+  const clipAngles = [start.clipAngle, end.clipAngle].filter((angle) => angle !== null);
+  const projection = mutate(0)
+    .scale(1)
+    .rotate(rotation)
+    .clipAngle(clipAngles.length ? Math.min(...clipAngles) : null);
+
+  // geoProjection 會把旋轉中心平移到 translate，因此 translate 必須是旋轉中心的混合螢幕座標
+  const origin = rotate.invert([0, 0]);
+
+  projection.alpha = (t) => {
+    mutate(t);
+    projection.translate(blendPoint(origin, t) || [0, 0]);
+    if (start.extent && end.extent) {
+      projection.clipExtent(
+        start.extent.map((corner, i) =>
+          corner.map((value, j) => value + (end.extent[i][j] - value) * t)
+        )
+      );
+    }
+    return projection;
+  };
+
+  return projection.alpha(0);
+};
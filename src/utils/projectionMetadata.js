@@ -0,0 +1,216 @@
+/**
+ * 🏷️ 投影分類資料 (Projection Metadata)
+ *
+ * 為投影註冊表中的每個投影標註性質、投影面、發明者與年份，供投影選擇器搜尋與篩選。
+ * 分類依 Snyder《Map Projections: A Working Manual》與《An Album of Map Projections》。
+ *
+ * 每筆資料包含：
+ * - properties: PROPERTY_CLASSES 的鍵值陣列；既非等積也非正形的投影（含透視投影）歸入折衷
+ * - family: SURFACE_FAMILIES 的鍵值
+ * - inventor: 發明者（未確定時為空字串）
+ * - year: 發表年份（西元前為負數，未確定時為 null）
+ */
+
+// 投影性質
+export const PROPERTY_CLASSES = {
+  equalArea: '等積',
+  conformal: '正形',
+  equidistant: '等距',
+  compromise: '折衷',
+};
+
+// 投影面（依 UI 分組順序排列）
+export const SURFACE_FAMILIES = {
+  azimuthal: '方位投影',
+  modifiedAzimuthal: '修正方位投影',
+  conic: '圓錐投影',
+  polyconic: '多圓錐投影',
+  cylindrical: '圓柱投影',
+  pseudocylindrical: '偽圓柱投影',
+  polyhedral: '多面體投影',
+  interrupted: '分瓣投影',
+  other: '其他投影',
+};
+
+const meta = (properties, family, inventor = '', year = null) => ({
+  properties,
+  family,
+  inventor,
+  year,
+});
+
+const ECKERT = 'Max Eckert';
+const GINZBURG = 'G. A. Ginzburg';
+const GOODE = 'J. Paul Goode';
+const HAMMER = 'Ernst Hammer';
+const LAMBERT = 'Johann Heinrich Lambert';
+const MCBRYDE_THOMAS = 'F. Webster McBryde, Paul D. Thomas';
+const PATTERSON = 'Tom Patterson';
+const VAN_DER_GRINTEN = 'Alphons J. van der Grinten';
+const WAGNER = 'Karlheinz Wagner';
+
+/**
+ * 📋 各投影的分類資料（鍵值為投影 ID）
+ */
+export const PROJECTION_METADATA = Object.freeze({
+  AzimuthalEqualArea: meta(['equalArea'], 'azimuthal', LAMBERT, 1772),
+  AzimuthalEquidistant: meta(['equidistant'], 'azimuthal', 'Guillaume Postel', 1581),
+  Gnomonic: meta(['compromise'], 'azimuthal', 'Thales', -550),
+  Orthographic: meta(['compromise'], 'azimuthal', 'Hipparchus', -150),
+  Stereographic: meta(['conformal'], 'azimuthal', 'Hipparchus', -150),
+  Albers: meta(['equalArea'], 'conic', 'Heinrich C. Albers', 1805),
+  ConicConformal: meta(['conformal'], 'conic', LAMBERT, 1772),
+  ConicEqualArea: meta(['equalArea'], 'conic', 'Heinrich C. Albers', 1805),
+  ConicEquidistant: meta(['equidistant'], 'conic', 'Joseph-Nicolas Delisle', 1745),
+  Equirectangular: meta(['equidistant'], 'cylindrical', 'Marinus of Tyre', 100),
+  Mercator: meta(['conformal'], 'cylindrical', 'Gerardus Mercator', 1569),
+  TransverseMercator: meta(['conformal'], 'cylindrical', LAMBERT, 1772),
+  NaturalEarth: meta(['compromise'], 'pseudocylindrical', PATTERSON, 2008),
+  Airy: meta(['compromise'], 'azimuthal', 'George Biddell Airy', 1861),
+  Aitoff: meta(['compromise'], 'modifiedAzimuthal', 'David A. Aitoff', 1889),
+  Armadillo: meta(['compromise'], 'other', 'Erwin Raisz', 1943),
+  August: meta(['conformal'], 'other', 'F. August', 1874),
+  Baker: meta(['compromise'], 'other', 'J. G. P. Baker', 1986),
+  Berghaus: meta(['compromise'], 'interrupted', 'Hermann Berghaus', 1879),
+  Bertin1953: meta(['compromise'], 'modifiedAzimuthal', 'Jacques Bertin', 1953),
+  Boggs: meta(['equalArea'], 'pseudocylindrical', 'Samuel W. Boggs', 1929),
+  Bonne: meta(['equalArea'], 'conic', 'Rigobert Bonne', 1752),
+  Bottomley: meta(['equalArea'], 'conic', 'Henry Bottomley', 2003),
+  Bromley: meta(['equalArea'], 'pseudocylindrical', 'Robert H. Bromley', 1965),
+  Chamberlin: meta(['compromise'], 'other', 'Wellman Chamberlin', 1946),
+  ChamberlinAfrica: meta(['compromise'], 'other', 'Wellman Chamberlin', 1946),
+  Collignon: meta(['equalArea'], 'pseudocylindrical', 'Édouard Collignon', 1865),
+  Craig: meta(['compromise'], 'other', 'James Ireland Craig', 1909),
+  Craster: meta(['equalArea'], 'pseudocylindrical', 'John Craster', 1929),
+  CylindricalEqualArea: meta(['equalArea'], 'cylindrical', LAMBERT, 1772),
+  CylindricalStereographic: meta(['compromise'], 'cylindrical', 'James Gall', 1855),
+  Eckert1: meta(['compromise'], 'pseudocylindrical', ECKERT, 1906),
+  Eckert2: meta(['equalArea'], 'pseudocylindrical', ECKERT, 1906),
+  Eckert3: meta(['compromise'], 'pseudocylindrical', ECKERT, 1906),
+  Eckert4: meta(['equalArea'], 'pseudocylindrical', ECKERT, 1906),
+  Eckert5: meta(['compromise'], 'pseudocylindrical', ECKERT, 1906),
+  Eckert6: meta(['equalArea'], 'pseudocylindrical', ECKERT, 1906),
+  Eisenlohr: meta(['conformal'], 'other', 'Friedrich Eisenlohr', 1870),
+  Fahey: meta(['compromise'], 'pseudocylindrical', 'Lawrence P. Fahey', 1975),
+  Foucaut: meta(['equalArea'], 'pseudocylindrical', 'Foucaut', 1862),
+  FoucautSinusoidal: meta(['equalArea'], 'pseudocylindrical', 'Foucaut', 1862),
+  Gilbert: meta(['compromise'], 'azimuthal', 'Edmund W. Gilbert', 1974),
+  Gingery: meta(['compromise'], 'interrupted'),
+  Ginzburg4: meta(['compromise'], 'polyconic', GINZBURG),
+  Ginzburg5: meta(['compromise'], 'polyconic', GINZBURG),
+  Ginzburg6: meta(['compromise'], 'polyconic', GINZBURG),
+  Ginzburg8: meta(['compromise'], 'pseudocylindrical', GINZBURG, 1944),
+  Ginzburg9: meta(['compromise'], 'modifiedAzimuthal', GINZBURG),
+  Gringorten: meta(['equalArea'], 'other', 'Irving I. Gringorten', 1972),
+  GringortenQuincuncial: meta(['equalArea'], 'other', 'Irving I. Gringorten', 1972),
+  Guyou: meta(['conformal'], 'other', 'Émile Guyou', 1887),
+  Hammer: meta(['equalArea'], 'modifiedAzimuthal', HAMMER, 1892),
+  HammerRetroazimuthal: meta(['compromise'], 'other', HAMMER, 1910),
+  Healpix: meta(['equalArea'], 'interrupted', 'Krzysztof M. Górski', 2005),
+  Hill: meta(['equalArea'], 'other', 'K. A. Hill'),
+  Homolosine: meta(['equalArea'], 'pseudocylindrical', GOODE, 1923),
+  Hufnagel: meta(['equalArea'], 'pseudocylindrical', 'Herbert Hufnagel', 1989),
+  Hyperelliptical: meta(['equalArea'], 'pseudocylindrical', 'Waldo R. Tobler', 1973),
+  InterruptedBoggs: meta(['equalArea'], 'interrupted', 'Samuel W. Boggs', 1929),
+  InterruptedHomolosine: meta(['equalArea'], 'interrupted', GOODE, 1923),
+  InterruptedMollweide: meta(['equalArea'], 'interrupted', GOODE, 1916),
+  InterruptedMollweideHemispheres: meta(['equalArea'], 'interrupted', GOODE, 1916),
+  InterruptedQuarticAuthalic: meta(['equalArea'], 'interrupted', 'Karl Siemon', 1937),
+  InterruptedSinuMollweide: meta(['equalArea'], 'interrupted', 'Allen K. Philbrick', 1953),
+  InterruptedSinusoidal: meta(['equalArea'], 'interrupted'),
+  Kavrayskiy7: meta(['compromise'], 'pseudocylindrical', 'Vladimir V. Kavrayskiy', 1939),
+  Lagrange: meta(['conformal'], 'other', 'Joseph-Louis Lagrange', 1779),
+  Larrivee: meta(['compromise'], 'other', 'Léo Larrivée', 1988),
+  Laskowski: meta(['compromise'], 'other', 'Piotr H. Laskowski', 1997),
+  Littrow: meta(['conformal'], 'other', 'Joseph Johann von Littrow', 1833),
+  Loximuthal: meta(['compromise'], 'pseudocylindrical', 'Karl Siemon', 1935),
+  Miller: meta(['compromise'], 'cylindrical', 'Osborn Maitland Miller', 1942),
+  Mollweide: meta(['equalArea'], 'pseudocylindrical', 'Karl Brandan Mollweide', 1805),
+  MtFlatPolarParabolic: meta(['equalArea'], 'pseudocylindrical', MCBRYDE_THOMAS, 1949),
+  MtFlatPolarQuartic: meta(['equalArea'], 'pseudocylindrical', MCBRYDE_THOMAS, 1949),
+  MtFlatPolarSinusoidal: meta(['equalArea'], 'pseudocylindrical', MCBRYDE_THOMAS, 1949),
+  NaturalEarth2: meta(['compromise'], 'pseudocylindrical', PATTERSON, 2012),
+  NellHammer: meta(['equalArea'], 'pseudocylindrical', HAMMER, 1900),
+  Nicolosi: meta(['compromise'], 'other', 'Giovanni Battista Nicolosi', 1660),
+  Patterson: meta(['compromise'], 'cylindrical', PATTERSON, 2014),
+  PeirceQuincuncial: meta(['conformal'], 'other', 'Charles Sanders Peirce', 1879),
+  Polyconic: meta(['compromise'], 'polyconic', 'Ferdinand Rudolph Hassler', 1825),
+  PolyhedralButterfly: meta(['compromise'], 'polyhedral', 'Bernard J. S. Cahill', 1909),
+  PolyhedralCollignon: meta(['equalArea'], 'polyhedral'),
+  PolyhedralWaterman: meta(['compromise'], 'polyhedral', 'Steve Waterman', 1996),
+  RectangularPolyconic: meta(['compromise'], 'polyconic'),
+  Robinson: meta(['compromise'], 'pseudocylindrical', 'Arthur H. Robinson', 1963),
+  Satellite: meta(['compromise'], 'azimuthal'),
+  SinuMollweide: meta(['equalArea'], 'pseudocylindrical', 'Allen K. Philbrick', 1953),
+  Sinusoidal: meta(['equalArea'], 'pseudocylindrical', 'Jean Cossin', 1570),
+  Times: meta(['compromise'], 'pseudocylindrical', 'John Muir', 1965),
+  TwoPointAzimuthal: meta(['compromise'], 'azimuthal', 'Hans Maurer', 1914),
+  TwoPointEquidistant: meta(['equidistant'], 'modifiedAzimuthal', 'Hans Maurer', 1919),
+  VanDerGrinten: meta(['compromise'], 'other', VAN_DER_GRINTEN, 1898),
+  VanDerGrinten2: meta(['compromise'], 'other', VAN_DER_GRINTEN, 1904),
+  VanDerGrinten3: meta(['compromise'], 'other', VAN_DER_GRINTEN, 1904),
+  VanDerGrinten4: meta(['compromise'], 'other', VAN_DER_GRINTEN, 1904),
+  Wagner4: meta(['equalArea'], 'pseudocylindrical', WAGNER, 1932),
+  Wagner6: meta(['compromise'], 'pseudocylindrical', WAGNER, 1932),
+  Wagner7: meta(['equalArea'], 'modifiedAzimuthal', WAGNER, 1941),
+  Wiechel: meta(['equalArea'], 'modifiedAzimuthal', 'William Wiechel', 1879),
+  Winkel3: meta(['compromise'], 'modifiedAzimuthal', 'Oswald Winkel', 1921),
+});
+
+// 沒有分類資料的投影（例如新加入註冊表但尚未標註者）
+const UNKNOWN_METADATA = meta(['compromise'], 'other');
+
+/**
+ * 🔍 取得投影的分類資料
+ * @param {string} id - 投影唯一標識符
+ * @returns {{properties: Array<string>, family: string, inventor: string, year: number|null}}
+ */
+export const getProjectionMetadata = (id) => PROJECTION_METADATA[id] || UNKNOWN_METADATA;
+
+/**
+ * 📅 格式化發表年份
+ * @param {number|null} year - 年份（西元前為負數）
+ * @returns {string} 例如 '1569'、'西元前 150'；未確定時為空字串
+ */
+export const formatProjectionYear = (year) => {
+  if (!Number.isFinite(year)) return '';
+  return year < 0 ? `西元前 ${-year}` : String(year);
+};
+
+/**
+ * 🔎 篩選投影清單
+ *
+ * 文字比對名稱、ID、發明者與年份（不分大小寫）；同一類篩選條件之間為「或」，
+ * 不同類之間為「且」。
+ *
+ * @param {Array<Object>} groups - dataStore 的 layers（每組含 groupName 與 groupLayers）
+ * @param {Object} filters
+ * @param {string} [filters.query] - 搜尋文字
+ * @param {Array<string>} [filters.properties] - 要保留的投影性質
+ * @param {Array<string>} [filters.families] - 要保留的投影面
+ * @param {Array<string>} [filters.favorites] - 常用投影 ID（favoritesOnly 時使用）
+ * @param {boolean} [filters.favoritesOnly] - 只保留常用投影
+ * @returns {Array<Object>} 篩選後的分組；沒有任何投影的分組會被略過
+ */
+export const filterProjectionGroups = (
+  groups,
+  { query = '', properties = [], families = [], favorites = [], favoritesOnly = false }
+) => {
+  const text = String(query).trim().toLowerCase();
+  const matches = (layer) => {
+    if (favoritesOnly && !favorites.includes(layer.layerId)) return false;
+    if (families.length && !families.includes(layer.family)) return false;
+    if (properties.length && !layer.properties.some((item) => properties.includes(item))) {
+      return false;
+    }
+    if (!text) return true;
+    return [layer.layerName, layer.layerId, layer.inventor, formatProjectionYear(layer.year)]
+      .join(' ')
+      .toLowerCase()
+      .includes(text);
+  };
+
+  return groups
+    .map((group) => ({ ...group, groupLayers: group.groupLayers.filter(matches) }))
+    .filter((group) => group.groupLayers.length);
+};
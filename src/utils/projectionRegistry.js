@@ -0,0 +1,586 @@
+/**
+ * 🗺️ 投影註冊表 (Projection Registry)
+ *
+ * 集中定義應用程式支援的所有地圖投影，取代過去分散在 dataStore 圖層清單與
+ * MapTab createProjection() switch 中、需要手動同步的兩份設定。
+ *
+ * 每個投影定義包含：
+ * - id: 投影唯一標識符（同時作為圖層 layerId 與 type）
+ * - name: 投影顯示名稱
+ * - shape: 投影外形（中文說明）
+ * - factory: 以參數建立 D3 投影的工廠函數
+ * - params: 預設參數；名稱與投影方法相同者（如 parallels、center）會自動呼叫套用
+ * - supports: 支援的可調整方法
+ *   - center: 世界地圖模式下先將 center 重設為 [0, 0] 再縮放
+ *   - parallels: 可設定標準緯線
+ *   - clipAngle: 可設定裁剪角度
+ * - parameters: 可在參數面板調整的參數（parallels、clipAngle 以及投影特有的參數）
+ * - ranges: 覆寫個別參數的調整範圍
+ * - scale: 名目縮放比例
+ * - fitScaleFactor: fitExtent 後額外乘上的縮放倍率（球面外框無限大的投影需要）
+ * - properties、family、inventor、year: 投影性質、投影面、發明者與年份（見 projectionMetadata.js）
+ *
+ * dataStore 的圖層清單與 MapTab 的投影建立都由此模組產生。
+ */
+
+import * as d3 from 'd3';
+import { normalizeCenter } from './utils.js';
+import { getProjectionMetadata } from './projectionMetadata.js';
+import {
+  geoAiry,
+  geoAitoff,
+  geoArmadillo,
+  geoAugust,
+  geoBaker,
+  geoBerghaus,
+  geoBertin1953,
+  geoBoggs,
+  geoBonne,
+  geoBottomley,
+  geoBromley,
+  geoChamberlin,
+  geoChamberlinAfrica,
+  geoCollignon,
+  geoCraig,
+  geoCraster,
+  geoCylindricalEqualArea,
+  geoCylindricalStereographic,
+  geoEckert1,
+  geoEckert2,
+  geoEckert3,
+  geoEckert4,
+  geoEckert5,
+  geoEckert6,
+  geoEisenlohr,
+  geoFahey,
+  geoFoucaut,
+  geoFoucautSinusoidal,
+  geoGilbert,
+  geoGingery,
+  geoGinzburg4,
+  geoGinzburg5,
+  geoGinzburg6,
+  geoGinzburg8,
+  geoGinzburg9,
+  geoGringorten,
+  geoGringortenQuincuncial,
+  geoGuyou,
+  geoHammer,
+  geoHammerRetroazimuthal,
+  geoHealpix,
+  geoHill,
+  geoHomolosine,
+  geoHufnagel,
+  geoHyperelliptical,
+  geoInterruptedBoggs,
+  geoInterruptedHomolosine,
+  geoInterruptedMollweide,
+  geoInterruptedMollweideHemispheres,
+  geoInterruptedQuarticAuthalic,
+  geoInterruptedSinuMollweide,
+  geoInterruptedSinusoidal,
+  geoKavrayskiy7,
+  geoLagrange,
+  geoLarrivee,
+  geoLaskowski,
+  geoLittrow,
+  geoLoximuthal,
+  geoMiller,
+  geoMollweide,
+  geoMtFlatPolarParabolic,
+  geoMtFlatPolarQuartic,
+  geoMtFlatPolarSinusoidal,
+  geoNaturalEarth2,
+  geoNellHammer,
+  geoNicolosi,
+  geoPatterson,
+  geoPeirceQuincuncial,
+  geoPolyconic,
+  geoPolyhedralButterfly,
+  geoPolyhedralCollignon,
+  geoPolyhedralWaterman,
+  geoRectangularPolyconic,
+  geoRobinson,
+  geoSatellite,
+  geoSinuMollweide,
+  geoSinusoidal,
+  geoTimes,
+  geoTwoPointAzimuthal,
+  geoTwoPointEquidistant,
+  geoVanDerGrinten,
+  geoVanDerGrinten2,
+  geoVanDerGrinten3,
+  geoVanDerGrinten4,
+  geoWagner4,
+  geoWagner6,
+  geoWagner7,
+  geoWiechel,
+  geoWinkel3,
+} from 'd3-geo-projection';
+
+/**
+ * 🎚️ 可調整參數的說明與預設調整範圍
+ * - size: 參數值的元素個數（parallels 為兩條標準緯線）
+ * - kind: 'points' 表示參數為經緯度控制點陣列，由控制點面板編輯而非滑桿
+ */
+const PARAMETER_SCHEMAS = {
+  parallels: { label: '標準緯線', min: -90, max: 90, step: 1, size: 2 },
+  parallel: { label: '標準緯線', min: -89, max: 89, step: 1 },
+  clipAngle: { label: '裁剪角度', min: 10, max: 180, step: 1 },
+  distance: { label: '衛星距離（地球半徑）', min: 1.1, max: 10, step: 0.1 },
+  tilt: { label: '傾斜角', min: 0, max: 80, step: 1 },
+  alpha: { label: 'α', min: 0, max: 1, step: 0.01 },
+  k: { label: 'k', min: 1, max: 10, step: 0.1 },
+  gamma: { label: 'γ', min: 0.5, max: 2.5, step: 0.01 },
+  lobes: { label: '瓣數', min: 1, max: 12, step: 1 },
+  spacing: { label: '間距', min: 0.1, max: 2, step: 0.05 },
+  radius: { label: '半徑', min: 10, max: 170, step: 1 },
+  fraction: { label: '比例', min: 0.05, max: 1, step: 0.05 },
+  ratio: { label: '比例', min: 0, max: 10, step: 0.1 },
+  coefficient: { label: '係數', min: 1, max: 4, step: 0.1 },
+  points: { label: '控制點', kind: 'points', size: 2 },
+};
+
+/**
+ * 🧩 建立投影定義
+ * @param {string} id - 投影唯一標識符
+ * @param {string} name - 投影顯示名稱
+ * @param {string} shape - 投影外形
+ * @param {Function} factory - (params) => D3 投影
+ * @param {Object} [options] - { params, supports, parameters, ranges, scale, fitScaleFactor }
+ * @returns {Object} 凍結的投影定義
+ */
+const defineProjection = (id, name, shape, factory, options = {}) => {
+  const supported = options.supports || [];
+  const parameterKeys = [
+    ...supported.filter((key) => key === 'parallels' || key === 'clipAngle'),
+    ...(options.parameters || []),
+  ];
+  return Object.freeze({
+    id,
+    name,
+    shape,
+    factory,
+    params: Object.freeze({ ...(options.params || {}) }),
+    supports: Object.freeze({
+      center: supported.includes('center'),
+      parallels: supported.includes('parallels'),
+      clipAngle: supported.includes('clipAngle'),
+    }),
+    parameters: Object.freeze(
+      parameterKeys.map((key) =>
+        Object.freeze({ key, ...PARAMETER_SCHEMAS[key], ...(options.ranges?.[key] || {}) })
+      )
+    ),
+    scale: options.scale ?? 100,
+    fitScaleFactor: options.fitScaleFactor ?? 1,
+    ...getProjectionMetadata(id),
+  });
+};
+
+/**
+ * 📋 所有投影定義（依 UI 顯示順序排列）
+ */
+export const PROJECTIONS = Object.freeze([
+  defineProjection(
+    'AzimuthalEqualArea',
+    'Azimuthal Equal Area',
+    '圓形',
+    () => d3.geoAzimuthalEqualArea(),
+    {
+      supports: ['center', 'clipAngle'],
+    }
+  ),
+  defineProjection(
+    'AzimuthalEquidistant',
+    'Azimuthal Equidistant',
+    '圓形',
+    () => d3.geoAzimuthalEquidistant(),
+    {
+      supports: ['center', 'clipAngle'],
+      scale: 80,
+    }
+  ),
+  defineProjection('Gnomonic', 'Gnomonic', '圓形', () => d3.geoGnomonic(), {
+    supports: ['center', 'clipAngle'],
+    // 心射投影無法顯示超過 90° 的範圍
+    ranges: { clipAngle: { max: 89 } },
+  }),
+  defineProjection('Orthographic', 'Orthographic', '圓形', () => d3.geoOrthographic(), {
+    // D3 預設裁剪角度為 90° + ε，固定為 90° 以符合調整範圍
+    params: { clipAngle: 90 },
+    supports: ['center', 'clipAngle'],
+    ranges: { clipAngle: { max: 90 } },
+    scale: 160,
+  }),
+  defineProjection('Stereographic', 'Stereographic', '圓形', () => d3.geoStereographic(), {
+    supports: ['clipAngle'],
+    scale: 80,
+  }),
+  defineProjection('Albers', 'Albers', '扇形', () => d3.geoAlbers(), {
+    params: { parallels: [20, 60] },
+    supports: ['center', 'parallels'],
+    scale: 120,
+  }),
+  // Conic Conformal 投影：標準圓錐投影，中心點設為經緯度 0,0
+  defineProjection('ConicConformal', 'Conic Conformal', '扇形', () => d3.geoConicConformal(), {
+    params: {
+      parallels: [20, 60], // 標準緯線：北緯20° 和 60°
+      center: [0, 0], // 中心點 [經度, 緯度] (0°，0°)
+    },
+    supports: ['parallels'],
+    fitScaleFactor: 5000,
+  }),
+  defineProjection('ConicEqualArea', 'Conic Equal Area', '扇形', () => d3.geoConicEqualArea(), {
+    params: { parallels: [20, 60] },
+    supports: ['center', 'parallels'],
+  }),
+  defineProjection(
+    'ConicEquidistant',
+    'Conic Equidistant',
+    '扇形',
+    () => d3.geoConicEquidistant(),
+    {
+      params: { parallels: [20, 60] },
+      supports: ['center', 'parallels'],
+    }
+  ),
+  defineProjection('Equirectangular', 'Equirectangular', '矩形', () => d3.geoEquirectangular(), {
+    scale: 80,
+  }),
+  defineProjection('Mercator', 'Mercator', '矩形', () => d3.geoMercator(), {
+    scale: 70,
+  }),
+  defineProjection(
+    'TransverseMercator',
+    'Transverse Mercator',
+    '矩形',
+    () => d3.geoTransverseMercator(),
+    {
+      scale: 70,
+    }
+  ),
+  defineProjection('NaturalEarth', 'Natural Earth', '橢圓形', () => d3.geoNaturalEarth1()),
+  defineProjection('Airy', 'Airy', '橢圓形', () => geoAiry(), { parameters: ['radius'] }),
+  defineProjection('Aitoff', 'Aitoff', '橢圓形', () => geoAitoff()),
+  defineProjection('Armadillo', 'Armadillo', '不規則形', () => geoArmadillo()),
+  defineProjection('August', 'August', '橢圓形', () => geoAugust()),
+  defineProjection('Baker', 'Baker', '橢圓形', () => geoBaker()),
+  defineProjection('Berghaus', 'Berghaus', '圓形', () => geoBerghaus(), { parameters: ['lobes'] }),
+  defineProjection('Bertin1953', 'Bertin 1953', '橢圓形', () => geoBertin1953()),
+  defineProjection('Boggs', 'Boggs', '橢圓形', () => geoBoggs()),
+  defineProjection('Bonne', 'Bonne', '心形', () => geoBonne(), { parameters: ['parallel'] }),
+  defineProjection('Bottomley', 'Bottomley', '橢圓形', () => geoBottomley(), {
+    parameters: ['fraction'],
+  }),
+  defineProjection('Bromley', 'Bromley', '橢圓形', () => geoBromley()),
+  // Chamberlin 需要 3 個控制點，預設使用台灣及周邊地區
+  defineProjection('Chamberlin', 'Chamberlin', '橢圓形', ({ points }) => geoChamberlin(...points), {
+    params: {
+      points: [
+        [120.98, 23.97],
+        [121.5, 25.0],
+        [120.0, 22.0],
+      ],
+    },
+    parameters: ['points'],
+    ranges: { points: { size: 3 } },
+  }),
+  defineProjection('ChamberlinAfrica', 'Chamberlin Africa', '橢圓形', () => geoChamberlinAfrica()),
+  defineProjection('Collignon', 'Collignon', '不規則形', () => geoCollignon()),
+  defineProjection('Craig', 'Craig', '橢圓形', () => geoCraig()),
+  defineProjection('Craster', 'Craster Parabolic', '橢圓形', () => geoCraster()),
+  defineProjection(
+    'CylindricalEqualArea',
+    'Cylindrical Equal Area',
+    '矩形',
+    () => geoCylindricalEqualArea(),
+    { parameters: ['parallel'], ranges: { parallel: { min: 0 } } }
+  ),
+  defineProjection('CylindricalStereographic', 'Cylindrical Stereographic', '矩形', () =>
+    geoCylindricalStereographic()
+  ),
+  defineProjection('Eckert1', 'Eckert I', '橢圓形', () => geoEckert1()),
+  defineProjection('Eckert2', 'Eckert II', '橢圓形', () => geoEckert2()),
+  defineProjection('Eckert3', 'Eckert III', '橢圓形', () => geoEckert3()),
+  defineProjection('Eckert4', 'Eckert IV', '橢圓形', () => geoEckert4()),
+  defineProjection('Eckert5', 'Eckert V', '橢圓形', () => geoEckert5()),
+  defineProjection('Eckert6', 'Eckert VI', '橢圓形', () => geoEckert6()),
+  defineProjection('Eisenlohr', 'Eisenlohr', '橢圓形', () => geoEisenlohr()),
+  defineProjection('Fahey', 'Fahey', '橢圓形', () => geoFahey()),
+  defineProjection('Foucaut', 'Foucaut', '橢圓形', () => geoFoucaut()),
+  defineProjection('FoucautSinusoidal', 'Foucaut Sinusoidal', '橢圓形', () =>
+    geoFoucautSinusoidal()
+  ),
+  defineProjection('Gilbert', 'Gilbert', '橢圓形', () => geoGilbert()),
+  defineProjection('Gingery', 'Gingery', '不規則形', () => geoGingery(), { parameters: ['lobes'] }),
+  defineProjection('Ginzburg4', 'Ginzburg IV', '橢圓形', () => geoGinzburg4()),
+  defineProjection('Ginzburg5', 'Ginzburg V', '橢圓形', () => geoGinzburg5()),
+  defineProjection('Ginzburg6', 'Ginzburg VI', '橢圓形', () => geoGinzburg6()),
+  defineProjection('Ginzburg8', 'Ginzburg VIII', '橢圓形', () => geoGinzburg8()),
+  defineProjection('Ginzburg9', 'Ginzburg IX', '橢圓形', () => geoGinzburg9()),
+  defineProjection('Gringorten', 'Gringorten', '橢圓形', () => geoGringorten()),
+  defineProjection('GringortenQuincuncial', 'Gringorten Quincuncial', '不規則形', () =>
+    geoGringortenQuincuncial()
+  ),
+  defineProjection('Guyou', 'Guyou', '不規則形', () => geoGuyou()),
+  defineProjection('Hammer', 'Hammer', '橢圓形', () => geoHammer(), {
+    parameters: ['coefficient'],
+  }),
+  defineProjection(
+    'HammerRetroazimuthal',
+    'Hammer Retroazimuthal',
+    '不規則形',
+    () => geoHammerRetroazimuthal(),
+    { parameters: ['parallel'] }
+  ),
+  defineProjection('Healpix', 'HEALPix', '多邊形', () => geoHealpix(), {
+    parameters: ['lobes'],
+    ranges: { lobes: { max: 8 } },
+  }),
+  defineProjection('Hill', 'Hill', '橢圓形', () => geoHill(), { parameters: ['ratio'] }),
+  defineProjection('Homolosine', 'Homolosine', '橢圓形', () => geoHomolosine()),
+  defineProjection('Hufnagel', 'Hufnagel', '橢圓形', () => geoHufnagel()),
+  defineProjection('Hyperelliptical', 'Hyperelliptical', '橢圓形', () => geoHyperelliptical(), {
+    parameters: ['alpha', 'k', 'gamma'],
+  }),
+  defineProjection('InterruptedBoggs', 'Interrupted Boggs', '不規則形', () =>
+    geoInterruptedBoggs()
+  ),
+  defineProjection('InterruptedHomolosine', 'Interrupted Homolosine', '不規則形', () =>
+    geoInterruptedHomolosine()
+  ),
+  defineProjection('InterruptedMollweide', 'Interrupted Mollweide', '不規則形', () =>
+    geoInterruptedMollweide()
+  ),
+  defineProjection(
+    'InterruptedMollweideHemispheres',
+    'Interrupted Mollweide Hemispheres',
+    '不規則形',
+    () => geoInterruptedMollweideHemispheres()
+  ),
+  defineProjection('InterruptedQuarticAuthalic', 'Interrupted Quartic Authalic', '不規則形', () =>
+    geoInterruptedQuarticAuthalic()
+  ),
+  defineProjection('InterruptedSinuMollweide', 'Interrupted Sinu-Mollweide', '不規則形', () =>
+    geoInterruptedSinuMollweide()
+  ),
+  defineProjection('InterruptedSinusoidal', 'Interrupted Sinusoidal', '不規則形', () =>
+    geoInterruptedSinusoidal()
+  ),
+  defineProjection('Kavrayskiy7', 'Kavrayskiy VII', '橢圓形', () => geoKavrayskiy7()),
+  defineProjection('Lagrange', 'Lagrange', '橢圓形', () => geoLagrange(), {
+    parameters: ['spacing'],
+  }),
+  defineProjection('Larrivee', 'Larrivee', '橢圓形', () => geoLarrivee()),
+  defineProjection('Laskowski', 'Laskowski', '橢圓形', () => geoLaskowski()),
+  defineProjection('Littrow', 'Littrow', '橢圓形', () => geoLittrow()),
+  defineProjection('Loximuthal', 'Loximuthal', '橢圓形', () => geoLoximuthal(), {
+    parameters: ['parallel'],
+  }),
+  defineProjection('Miller', 'Miller', '橢圓形', () => geoMiller()),
+  defineProjection('Mollweide', 'Mollweide', '橢圓形', () => geoMollweide()),
+  defineProjection('MtFlatPolarParabolic', 'McBryde-Thomas Flat-Polar Parabolic', '橢圓形', () =>
+    geoMtFlatPolarParabolic()
+  ),
+  defineProjection('MtFlatPolarQuartic', 'McBryde-Thomas Flat-Polar Quartic', '橢圓形', () =>
+    geoMtFlatPolarQuartic()
+  ),
+  defineProjection('MtFlatPolarSinusoidal', 'McBryde-Thomas Flat-Polar Sinusoidal', '橢圓形', () =>
+    geoMtFlatPolarSinusoidal()
+  ),
+  defineProjection('NaturalEarth2', 'Natural Earth II', '橢圓形', () => geoNaturalEarth2()),
+  defineProjection('NellHammer', 'Nell-Hammer', '橢圓形', () => geoNellHammer()),
+  defineProjection('Nicolosi', 'Nicolosi', '圓形', () => geoNicolosi()),
+  defineProjection('Patterson', 'Patterson', '橢圓形', () => geoPatterson()),
+  defineProjection('PeirceQuincuncial', 'Peirce Quincuncial', '不規則形', () =>
+    geoPeirceQuincuncial()
+  ),
+  defineProjection('Polyconic', 'Polyconic', '橢圓形', () => geoPolyconic()),
+  defineProjection('PolyhedralButterfly', 'Polyhedral Butterfly', '不規則形', () =>
+    geoPolyhedralButterfly()
+  ),
+  defineProjection('PolyhedralCollignon', 'Polyhedral Collignon', '多邊形', () =>
+    geoPolyhedralCollignon()
+  ),
+  defineProjection('PolyhedralWaterman', 'Polyhedral Waterman', '多邊形', () =>
+    geoPolyhedralWaterman()
+  ),
+  defineProjection('RectangularPolyconic', 'Rectangular Polyconic', '橢圓形', () =>
+    geoRectangularPolyconic()
+  ),
+  defineProjection('Robinson', 'Robinson', '橢圓形', () => geoRobinson()),
+  // Satellite 的裁剪角度固定在衛星距離對應的地平線，超過會把背面疊到正面，因此不開放調整；
+  // 預設距離沿用 geoSatellite 的預設值，維持原本的地圖外觀
+  defineProjection(
+    'Satellite',
+    'Satellite',
+    '不規則形',
+    ({ distance }) =>
+      geoSatellite()
+        .distance(distance)
+        .clipAngle((Math.acos(1 / distance) * 180) / Math.PI - 1e-6),
+    {
+      params: { distance: geoSatellite().distance(), tilt: 0 },
+      parameters: ['distance', 'tilt'],
+    }
+  ),
+  defineProjection('SinuMollweide', 'Sinu-Mollweide', '橢圓形', () => geoSinuMollweide()),
+  defineProjection('Sinusoidal', 'Sinusoidal', '橢圓形', () => geoSinusoidal()),
+  defineProjection('Times', 'Times', '橢圓形', () => geoTimes()),
+  // TwoPoint 需要 2 個控制點，預設使用台灣與東京
+  defineProjection(
+    'TwoPointAzimuthal',
+    'Two-Point Azimuthal',
+    '不規則形',
+    ({ points }) => geoTwoPointAzimuthal(...points),
+    {
+      params: {
+        points: [
+          [120.98, 23.97],
+          [139.69, 35.68],
+        ],
+      },
+      parameters: ['points'],
+      ranges: { points: { size: 2 } },
+    }
+  ),
+  // TwoPoint 需要 2 個控制點，預設使用台灣與東京
+  defineProjection(
+    'TwoPointEquidistant',
+    'Two-Point Equidistant',
+    '不規則形',
+    ({ points }) => geoTwoPointEquidistant(...points),
+    {
+      params: {
+        points: [
+          [120.98, 23.97],
+          [139.69, 35.68],
+        ],
+      },
+      parameters: ['points'],
+      ranges: { points: { size: 2 } },
+    }
+  ),
+  defineProjection('VanDerGrinten', 'Van der Grinten', '圓形', () => geoVanDerGrinten()),
+  defineProjection('VanDerGrinten2', 'Van der Grinten II', '橢圓形', () => geoVanDerGrinten2()),
+  defineProjection('VanDerGrinten3', 'Van der Grinten III', '橢圓形', () => geoVanDerGrinten3()),
+  defineProjection('VanDerGrinten4', 'Van der Grinten IV', '橢圓形', () => geoVanDerGrinten4()),
+  defineProjection('Wagner4', 'Wagner IV', '橢圓形', () => geoWagner4()),
+  defineProjection('Wagner6', 'Wagner VI', '橢圓形', () => geoWagner6()),
+  defineProjection('Wagner7', 'Wagner VII', '橢圓形', () => geoWagner7()),
+  defineProjection('Wiechel', 'Wiechel', '不規則形', () => geoWiechel()),
+  defineProjection('Winkel3', 'Winkel Tripel', '橢圓形', () => geoWinkel3()),
+]);
+
+const projectionsById = new Map(PROJECTIONS.map((definition) => [definition.id, definition]));
+
+/**
+ * 🔍 根據 ID 取得投影定義
+ * @param {string} id - 投影唯一標識符
+ * @returns {Object|null} 投影定義，找不到時回傳 null
+ */
+export const getProjectionDefinition = (id) => projectionsById.get(id) || null;
+
+/**
+ * 🏗️ 依註冊表建立 D3 投影
+ *
+ * 以預設參數加上覆寫參數呼叫工廠函數，並對名稱與投影方法相同的參數呼叫對應方法。
+ * 不處理旋轉與版面縮放，這些由呼叫端依顯示需求設定。
+ *
+ * @param {string} id - 投影唯一標識符
+ * @param {Object} [overrides] - 覆寫的參數
+ * @returns {Function} D3 投影
+ * @throws {Error} 找不到投影類型或工廠函數未回傳投影時
+ */
+export const createRegisteredProjection = (id, overrides = {}) => {
+  const definition = getProjectionDefinition(id);
+  if (!definition) {
+    throw new Error(`找不到投影類型: ${id}`);
+  }
+
+  const params = { ...definition.params, ...overrides };
+  const projection = definition.factory(params);
+  if (typeof projection !== 'function') {
+    throw new Error(`投影建立失敗: ${id}`);
+  }
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && typeof projection[key] === 'function') {
+      projection[key](value);
+    }
+  });
+
+  return projection;
+};
+
+/**
+ * 🎚️ 取得投影可調整的參數
+ * @param {string} id - 投影唯一標識符
+ * @returns {Array<Object>} 參數描述 { key, label, min, max, step, size }；找不到投影時回傳空陣列
+ */
+export const getProjectionParameters = (id) => getProjectionDefinition(id)?.parameters || [];
+
+const clampToRange = (value, { min, max }) => Math.max(min, Math.min(max, Number(value)));
+
+/**
+ * 📍 整理控制點：個數必須正確、座標有效且彼此不重複
+ * @returns {Array<Array<number>>|null} [[經度, 緯度], ...]；無效時回傳 null
+ */
+const sanitizePoints = (value, { size }) => {
+  if (!Array.isArray(value) || value.length !== size) return null;
+  const points = value.map((point) => normalizeCenter(point)?.slice(0, 2) || null);
+  if (points.some((point) => !point)) return null;
+  const keys = new Set(points.map(([lon, lat]) => `${lon.toFixed(6)},${lat.toFixed(6)}`));
+  return keys.size === points.length ? points : null;
+};
+
+/**
+ * 🧹 整理投影參數
+ * 只保留該投影可調整的參數，並將數值限制在調整範圍內；無效數值會被捨棄
+ * @param {string} id - 投影唯一標識符
+ * @param {Object} params - 參數物件
+ * @returns {Object} 整理後的參數
+ */
+export const sanitizeProjectionParameters = (id, params = {}) => {
+  const result = {};
+  getProjectionParameters(id).forEach((parameter) => {
+    const value = params?.[parameter.key];
+    if (value === undefined || value === null) return;
+
+    if (parameter.kind === 'points') {
+      const points = sanitizePoints(value, parameter);
+      if (points) result[parameter.key] = points;
+    } else if (parameter.size) {
+      if (!Array.isArray(value) || value.length !== parameter.size) return;
+      const values = value.map((item) => clampToRange(item, parameter));
+      if (values.every(Number.isFinite)) result[parameter.key] = values;
+    } else {
+      const number = clampToRange(value, parameter);
+      if (Number.isFinite(number)) result[parameter.key] = number;
+    }
+  });
+  return result;
+};
+
+/**
+ * 📏 讀取投影目前的參數值
+ * 以覆寫參數建立投影後讀回各參數，未覆寫的參數即為投影的預設值；
+ * 投影沒有對應方法的參數（如控制點）直接取覆寫值或註冊表預設值
+ * @param {string} id - 投影唯一標識符
+ * @param {Object} [overrides] - 覆寫的參數
+ * @returns {Object} { 參數名稱: 數值 }
+ */
+export const getProjectionParameterValues = (id, overrides = {}) => {
+  const parameters = getProjectionParameters(id);
+  if (!parameters.length) return {};
+
+  const params = { ...getProjectionDefinition(id).params, ...overrides };
+  const projection = createRegisteredProjection(id, overrides);
+  return Object.fromEntries(
+    parameters.map(({ key }) => {
+      const value = typeof projection[key] === 'function' ? projection[key]() : params[key];
+      return [key, Array.isArray(value) ? structuredClone(value) : value];
+    })
+  );
+};
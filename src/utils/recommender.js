@@ -0,0 +1,271 @@
+/**
+ * 🧭 投影建議工具 (Projection Recommender)
+ *
+ * 依地圖範圍與用途建議合適的投影。決策流程參考 Snyder《Map Projections: A Working Manual》
+ * 的投影選擇準則，以及 Šavrič 等人的 Projection Wizard：
+ * - 先依範圍大小分為全球、半球與區域
+ * - 區域再依位置（極區、赤道附近、中緯度）與形狀（東西向、南北向、近方形）選擇投影面：
+ *   極區用方位投影、赤道附近東西向用圓柱投影、中緯度東西向用圓錐投影、南北向用橫軸投影
+ * - 最後依用途選擇等積、正形、等距或折衷的投影性質
+ */
+
+import { geoBounds } from 'd3';
+import { computeStandardParallels } from './region.js';
+
+// 投影用途
+export const PROJECTION_PURPOSES = {
+  general: '一般用途',
+  equalArea: '等積',
+  conformal: '正形',
+  equidistant: '自一點等距',
+};
+
+// 範圍分類門檻（度）
+const WORLD_SPAN = { lon: 300, lat: 120 };
+const HEMISPHERE_SPAN = { lon: 150, lat: 90 };
+const POLAR_LATITUDE = 70;
+const EQUATORIAL_LATITUDE = 15;
+// 東西向與南北向的長寬比門檻（以中心緯度的經線收斂修正經度跨度）
+const ELONGATION_RATIO = 1.25;
+
+const LOCATION_LABELS = { polar: '極區', equatorial: '赤道附近', middle: '中緯度' };
+const SHAPE_LABELS = { eastWest: '東西向', northSouth: '南北向', square: '近方形' };
+
+const normalizeLongitude = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * 🗺️ 分析地圖範圍
+ * @param {Object|null} geometry - 焦點範圍的 GeoJSON；null 表示全球
+ * @returns {{scale: string, location: string, shape: string, label: string,
+ *   bounds: Array<Array<number>>, center: Array<number>}}
+ *   scale 為 'world' | 'hemisphere' | 'regional'；location 與 shape 只對區域有意義；
+ *   center 為範圍框中心 [經度, 緯度]
+ */
+export const describeExtent = (geometry) => {
+  if (!geometry) {
+    return {
+      scale: 'world',
+      location: 'equatorial',
+      shape: 'eastWest',
+      label: '全球',
+      bounds: [
+        [-180, -90],
+        [180, 90],
+      ],
+      center: [0, 0],
+    };
+  }
+
+  const bounds = geoBounds(geometry);
+  const [[west, south], [east, north]] = bounds;
+  const lonSpan = east >= west ? east - west : east + 360 - west;
+  const latSpan = north - south;
+  const centerLat = (south + north) / 2;
+  const center = [normalizeLongitude(west + lonSpan / 2), centerLat];
+  // 範圍包含極點時 geoBounds 的經度跨度為 360°，依緯度跨度判斷是否為極區
+  const touchesPole = north >= 89.9 || south <= -89.9;
+
+  const describe = (scale, location, shape, label) => ({
+    scale,
+    location,
+    shape,
+    label,
+    bounds,
+    center,
+  });
+
+  if (touchesPole && latSpan < HEMISPHERE_SPAN.lat) {
+    return describe('regional', 'polar', 'square', LOCATION_LABELS.polar);
+  }
+  if (lonSpan >= WORLD_SPAN.lon && latSpan >= WORLD_SPAN.lat) {
+    return describe('world', 'equatorial', 'eastWest', '全球');
+  }
+  if (lonSpan >= HEMISPHERE_SPAN.lon || latSpan >= HEMISPHERE_SPAN.lat) {
+    return describe('hemisphere', 'middle', 'square', '半球');
+  }
+
+  const location =
+    Math.abs(centerLat) >= POLAR_LATITUDE
+      ? 'polar'
+      : Math.abs(centerLat) < EQUATORIAL_LATITUDE
+        ? 'equatorial'
+        : 'middle';
+  const ratio = (lonSpan * Math.cos((centerLat * Math.PI) / 180)) / Math.max(latSpan, 1e-6);
+  const shape =
+    ratio > ELONGATION_RATIO ? 'eastWest' : ratio < 1 / ELONGATION_RATIO ? 'northSouth' : 'square';
+  const label =
+    location === 'polar'
+      ? LOCATION_LABELS.polar
+      : `${LOCATION_LABELS[location]}${SHAPE_LABELS[shape]}區域`;
+  return describe('regional', location, shape, label);
+};
+
+const suggest = (id, reason, { params = null, center = null } = {}) => ({
+  id,
+  reason,
+  params,
+  center,
+});
+
+/**
+ * 📋 依範圍與用途列出候選投影（依適合程度排序）
+ */
+const listCandidates = (extent, purpose, point) => {
+  const [[, south], [, north]] = extent.bounds;
+  const [centerLon, centerLat] = extent.center;
+  const parallels = computeStandardParallels(south, north);
+  const pole = [centerLon, centerLat >= 0 ? 90 : -90];
+  const fromPoint = suggest('AzimuthalEquidistant', '自中心點到各地的距離與方位皆正確', {
+    center: point,
+  });
+
+  if (purpose === 'equidistant') {
+    if (extent.scale === 'world') {
+      return [
+        fromPoint,
+        suggest('TwoPointEquidistant', '自兩個控制點到各地的距離皆正確'),
+        suggest('Equirectangular', '沿經線等距，全球經緯網為方格'),
+      ];
+    }
+    if (extent.location === 'middle' && extent.shape === 'eastWest') {
+      return [
+        fromPoint,
+        suggest('ConicEquidistant', '沿經線等距的圓錐投影', { params: { parallels } }),
+      ];
+    }
+    return [fromPoint, suggest('TwoPointEquidistant', '自兩個控制點到各地的距離皆正確')];
+  }
+
+  if (extent.scale === 'world') {
+    if (purpose === 'equalArea') {
+      return [
+        suggest('Mollweide', '等積偽圓柱投影，世界主題圖的常見選擇'),
+        suggest('Eckert4', '等積，極點為線，高緯度形狀較 Mollweide 自然'),
+        suggest('InterruptedHomolosine', '分瓣等積，大陸形狀變形最小'),
+      ];
+    }
+    if (purpose === 'conformal') {
+      return [
+        suggest('Lagrange', '正形，全球畫在圓內'),
+        suggest('August', '正形，全球畫在封閉的外框內'),
+        suggest('Mercator', '等角航線為直線；高緯度面積嚴重放大，只適合航海用途'),
+      ];
+    }
+    return [
+      suggest('NaturalEarth', '折衷投影，形狀與面積變形都不大'),
+      suggest('Winkel3', '折衷投影，面積、角度與距離變形總和小'),
+      suggest('Robinson', '折衷投影，高緯度面積放大較少'),
+    ];
+  }
+
+  if (extent.scale === 'hemisphere') {
+    if (purpose === 'equalArea') {
+      return [suggest('AzimuthalEqualArea', '等積方位投影，適合半球範圍')];
+    }
+    if (purpose === 'conformal') {
+      return [suggest('Stereographic', '正形方位投影，適合半球範圍')];
+    }
+    return [
+      suggest('Orthographic', '如同從太空看地球，直觀但外圍壓縮'),
+      suggest('AzimuthalEquidistant', '方位等距，外圍變形較平均'),
+    ];
+  }
+
+  if (extent.location === 'polar') {
+    if (purpose === 'equalArea') {
+      return [suggest('AzimuthalEqualArea', '極區方位等積投影', { center: pole })];
+    }
+    if (purpose === 'conformal') {
+      return [suggest('Stereographic', '極區方位正形投影（UPS 座標系統採用）', { center: pole })];
+    }
+    return [suggest('AzimuthalEquidistant', '極區方位等距投影，經線為直線', { center: pole })];
+  }
+
+  if (extent.shape === 'northSouth') {
+    if (purpose === 'equalArea') {
+      return [suggest('AzimuthalEqualArea', '南北狹長區域以方位等積投影，變形對稱分布')];
+    }
+    if (purpose === 'conformal') {
+      return [suggest('TransverseMercator', '沿中央經線的狹長區域變形小（UTM 採用）')];
+    }
+    return [
+      suggest('Polyconic', '中央經線等距，南北狹長區域變形小'),
+      suggest('TransverseMercator', '沿中央經線的狹長區域變形小'),
+    ];
+  }
+
+  if (extent.shape === 'square') {
+    if (purpose === 'equalArea') {
+      return [suggest('AzimuthalEqualArea', '近方形區域以方位投影，變形隨距中心距離增加')];
+    }
+    if (purpose === 'conformal') {
+      return [suggest('Stereographic', '近方形區域以方位正形投影')];
+    }
+    return [suggest('AzimuthalEquidistant', '近方形區域以方位等距投影')];
+  }
+
+  if (extent.location === 'equatorial') {
+    // 圓柱等積投影的標準緯線取範圍最大緯度的 2/3（對稱範圍套用 1/6 法則的結果）
+    const parallel = Math.round(Math.max(Math.abs(south), Math.abs(north)) * (2 / 3) * 10) / 10;
+    if (purpose === 'equalArea') {
+      return [
+        suggest('CylindricalEqualArea', '赤道附近東西向區域以圓柱等積投影', {
+          params: { parallel },
+        }),
+      ];
+    }
+    if (purpose === 'conformal') {
+      return [suggest('Mercator', '赤道附近的 Mercator 變形很小')];
+    }
+    return [
+      suggest('Equirectangular', '赤道附近東西向區域以等距圓柱投影'),
+      suggest('Miller', '折衷圓柱投影'),
+    ];
+  }
+
+  if (purpose === 'equalArea') {
+    return [
+      suggest('Albers', '中緯度東西向區域以等積圓錐投影', { params: { parallels } }),
+      suggest('ConicEqualArea', '等積圓錐投影', { params: { parallels } }),
+    ];
+  }
+  if (purpose === 'conformal') {
+    return [
+      suggest('ConicConformal', '中緯度東西向區域以 Lambert 正形圓錐投影', {
+        params: { parallels },
+      }),
+    ];
+  }
+  return [suggest('ConicEquidistant', '中緯度東西向區域以等距圓錐投影', { params: { parallels } })];
+};
+
+/**
+ * 💡 建議投影
+ *
+ * @param {Object} extent - describeExtent 的結果
+ * @param {string} purpose - PROJECTION_PURPOSES 的鍵值
+ * @param {Array<Object>} catalog - 可用的投影清單（dataStore 的 layers，含 layerId、layerName）
+ * @param {Object} [options]
+ * @param {Array<number>} [options.point] - 自一點等距的中心 [經度, 緯度]；預設為範圍中心
+ * @returns {Array<{layerId: string, layerName: string, reason: string,
+ *   params: Object|null, center: Array<number>|null}>}
+ *   依適合程度排序；params 為建議的投影參數（如標準緯線），center 為建議的地圖中心
+ *   （null 表示沿用目前中心）；清單中沒有的投影會被略過
+ *
+ * @example
+ * const extent = describeExtent(focusGeometry);
+ * const [best] = recommendProjections(extent, 'equalArea', dataStore.getAllLayers());
+ */
+export const recommendProjections = (extent, purpose, catalog, { point } = {}) => {
+  const candidates = listCandidates(
+    extent,
+    PROJECTION_PURPOSES[purpose] ? purpose : 'general',
+    point ? point.slice(0, 2) : extent.center
+  );
+  return candidates
+    .map(({ id, reason, params, center }) => {
+      const layer = catalog.find((item) => item.layerId === id);
+      return layer ? { layerId: id, layerName: layer.layerName, reason, params, center } : null;
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,135 @@
+/**
+ * 🔭 區域焦點工具 (Region Focus Utilities)
+ *
+ * 焦點檢視的目標可以是突顯國家、具名區域（Natural Earth 的 CONTINENT 或 SUBREGION）
+ * 或經緯度範圍框。本模組將目標轉換為要顯示的國家、投影要適應的 GeoJSON，
+ * 以及區域投影的預設參數。
+ *
+ * 焦點目標格式：
+ * - { type: 'countries' }：dataStore 的突顯國家
+ * - { type: 'region', key: 'CONTINENT' | 'SUBREGION', value: string }
+ * - { type: 'bbox', bounds: [[西, 南], [東, 北]] }：東經可小於西經（跨越換日線）
+ */
+
+import { geoArea, geoBounds, geoCentroid } from 'd3';
+import { getCountryCode } from './countries.js';
+
+// 可選擇的具名區域屬性
+export const REGION_KEYS = {
+  CONTINENT: '大洲',
+  SUBREGION: '次區域',
+};
+
+/**
+ * 📋 列出具名區域
+ * @param {Array<Object>} features - Natural Earth 國家圖徵
+ * @param {string} key - REGION_KEYS 的鍵值
+ * @returns {Array<string>} 依字母排序、不重複的區域名稱
+ */
+export const listRegions = (features, key) =>
+  [...new Set(features.map((feature) => feature.properties?.[key]).filter(Boolean))].sort();
+
+/**
+ * 🧾 整理焦點目標
+ * @param {Object} target - 焦點目標
+ * @returns {Object|null} 有效的焦點目標；格式錯誤時回傳 null
+ */
+export const normalizeFocusTarget = (target) => {
+  if (target?.type === 'countries') return { type: 'countries' };
+  if (target?.type === 'region' && REGION_KEYS[target.key] && target.value) {
+    return { type: 'region', key: target.key, value: String(target.value) };
+  }
+  if (target?.type === 'bbox' && Array.isArray(target.bounds)) {
+    const [[west, south], [east, north]] = target.bounds;
+    const values = [west, south, east, north];
+    if (!values.every(Number.isFinite) || south >= north) return null;
+    if (Math.abs(south) > 90 || Math.abs(north) > 90) return null;
+    return {
+      type: 'bbox',
+      bounds: [
+        [west, south],
+        [east, north],
+      ],
+    };
+  }
+  return null;
+};
+
+/**
+ * 🟦 建立經緯度範圍框多邊形
+ * 邊線以 1° 間距取點，讓緯線邊在投影後仍沿著緯線彎曲
+ * @param {Array<Array<number>>} bounds - [[西, 南], [東, 北]]
+ * @returns {Object} GeoJSON Polygon
+ */
+export const createBoundsPolygon = ([[west, south], [east, north]]) => {
+  const width = east >= west ? east - west : east + 360 - west;
+  const steps = Math.max(1, Math.ceil(width));
+  const ring = [];
+  for (let i = 0; i <= steps; i += 1) ring.push([west + (width * i) / steps, south]);
+  for (let i = steps; i >= 0; i -= 1) ring.push([west + (width * i) / steps, north]);
+  ring.push(ring[0]);
+
+  // D3 以順時針為外環；面積超過半個球面代表方向相反
+  const polygon = { type: 'Polygon', coordinates: [ring] };
+  return geoArea(polygon) > 2 * Math.PI
+    ? { type: 'Polygon', coordinates: [[...ring].reverse()] }
+    : polygon;
+};
+
+/**
+ * 🏳️ 取得焦點目標包含的國家
+ * @param {Array<Object>} features - Natural Earth 國家圖徵
+ * @param {Object} target - 焦點目標
+ * @param {Array<string>} [highlightCodes=[]] - 突顯國家的代碼（countries 目標使用）
+ * @returns {Array<Object>|null} 國家圖徵；範圍框目標不篩選國家，回傳 null
+ */
+export const getFocusFeatures = (features, target, highlightCodes = []) => {
+  if (target?.type === 'region') {
+    return features.filter((feature) => feature.properties?.[target.key] === target.value);
+  }
+  if (target?.type === 'bbox') return null;
+  return features.filter((feature) => highlightCodes.includes(getCountryCode(feature)));
+};
+
+/**
+ * 🎯 取得投影要適應的 GeoJSON
+ * @param {Array<Object>} features - Natural Earth 國家圖徵
+ * @param {Object} target - 焦點目標
+ * @param {Array<string>} [highlightCodes=[]] - 突顯國家的代碼
+ * @returns {Object|null} FeatureCollection 或範圍框 Polygon；目標沒有任何國家時回傳 null
+ */
+export const getFocusGeometry = (features, target, highlightCodes = []) => {
+  if (target?.type === 'bbox') return createBoundsPolygon(target.bounds);
+  const selected = getFocusFeatures(features, target, highlightCodes);
+  return selected?.length ? { type: 'FeatureCollection', features: selected } : null;
+};
+
+/**
+ * 📍 焦點範圍的中心
+ * @param {Object} geometry - getFocusGeometry 的結果
+ * @returns {Array<number>} [經度, 緯度]（球面形心）
+ */
+export const getFocusCenter = (geometry) => geoCentroid(geometry);
+
+/**
+ * 📐 圓錐投影的標準緯線（1/6 法則）
+ * 取緯度跨度的 1/6 與 5/6 處，讓變形平均分布在範圍內
+ * @param {number} south - 範圍南界緯度
+ * @param {number} north - 範圍北界緯度
+ * @returns {Array<number>} [φ1, φ2]（度，取到 0.1°）；範圍跨越極點時仍限制在 ±89°
+ */
+export const computeStandardParallels = (south, north) => {
+  const span = north - south;
+  const clamp = (value) => Math.max(-89, Math.min(89, Math.round(value * 10) / 10));
+  return [clamp(south + span / 6), clamp(south + (span * 5) / 6)];
+};
+
+/**
+ * 📐 區域圓錐投影的標準緯線
+ * @param {Object} geometry - getFocusGeometry 的結果
+ * @returns {Array<number>} [φ1, φ2]（見 computeStandardParallels）
+ */
+export const getRegionalParallels = (geometry) => {
+  const [[, south], [, north]] = geoBounds(geometry);
+  return computeStandardParallels(south, north);
+};
@@ -0,0 +1,162 @@
+/**
+ * 🧭 座標參考系統轉換工具 (Coordinate Reprojection Utilities)
+ *
+ * D3 投影只接受 WGS84 經緯度，使用者資料卻常以投影座標系統提供（例如 TWD97 / TM2、UTM）。
+ * 本模組以 proj4 將任意座標參考系統的 GeoJSON 轉換為 WGS84 經緯度。
+ * 主要功能：
+ * - 解析 GeoJSON 的 crs 成員（EPSG 代碼、OGC URN、CRS84）
+ * - 接受 EPSG 代碼、PROJ 字串或 WKT 作為來源座標系統
+ * - 內建台灣常用座標系統與 UTM 分帶定義
+ * - 轉換 GeoJSON 中所有幾何的座標
+ */
+
+import proj4 from 'proj4';
+
+// 台灣常用座標系統的 PROJ 定義（proj4 內建 EPSG:4326、EPSG:4269、EPSG:3857）
+const EXTRA_DEFINITIONS = {
+  'EPSG:3824': '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+  'EPSG:3825':
+    '+proj=tmerc +lat_0=0 +lon_0=119 +k=0.9999 +x_0=250000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  'EPSG:3826':
+    '+proj=tmerc +lat_0=0 +lon_0=121 +k=0.9999 +x_0=250000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  'EPSG:3827':
+    '+proj=tmerc +lat_0=0 +lon_0=119 +k=0.9999 +x_0=250000 +y_0=0 +ellps=aust_SA +towgs84=-752,-358,-179,-0.0000011698,0.0000018398,0.0000009822,0.00002329 +units=m +no_defs',
+  'EPSG:3828':
+    '+proj=tmerc +lat_0=0 +lon_0=121 +k=0.9999 +x_0=250000 +y_0=0 +ellps=aust_SA +towgs84=-752,-358,-179,-0.0000011698,0.0000018398,0.0000009822,0.00002329 +units=m +no_defs',
+};
+
+Object.entries(EXTRA_DEFINITIONS).forEach(([code, definition]) => proj4.defs(code, definition));
+
+// 常用座標系統選項（提供給輸入欄位的建議清單）
+export const COMMON_CRS = [
+  { code: 'EPSG:4326', label: 'WGS84 經緯度' },
+  { code: 'EPSG:3826', label: 'TWD97 / TM2 121°（台灣本島）' },
+  { code: 'EPSG:3825', label: 'TWD97 / TM2 119°（澎湖、金門、馬祖）' },
+  { code: 'EPSG:3828', label: 'TWD67 / TM2 121°' },
+  { code: 'EPSG:3857', label: 'Web Mercator' },
+  { code: 'EPSG:32651', label: 'WGS84 / UTM 51N' },
+];
+
+// 視為 WGS84 經緯度、不需要轉換的座標系統
+const WGS84_CODES = ['CRS84', 'EPSG:4326', 'EPSG:4979'];
+
+/**
+ * 🏷️ 將 EPSG 代碼、OGC URN 或 CRS84 名稱正規化
+ * @param {string|number} name - 例如 'EPSG:3826'、3826、'urn:ogc:def:crs:EPSG::3826'、
+ *   'urn:ogc:def:crs:OGC:1.3:CRS84'
+ * @returns {string|null} 'EPSG:xxxx' 或 'CRS84'；無法辨識時回傳 null
+ */
+export const normalizeCrsName = (name) => {
+  const text = String(name ?? '').trim();
+  if (/CRS:?84$/i.test(text)) return 'CRS84';
+  const match =
+    text.match(/^(?:urn:ogc:def:crs:)?EPSG:(?:[\d.]*:)?(\d+)$/i) || text.match(/^(\d+)$/);
+  return match ? `EPSG:${match[1]}` : null;
+};
+
+/**
+ * 📄 讀取 GeoJSON 的 crs 成員
+ * @param {Object} geojson - GeoJSON 物件
+ * @returns {string|null} 正規化的座標系統名稱；沒有 crs 成員時回傳 null
+ */
+export const getGeoJSONCrs = (geojson) => {
+  const crs = geojson?.crs;
+  if (!crs) return null;
+  if (crs.type === 'name') return normalizeCrsName(crs.properties?.name) || crs.properties?.name;
+  if (crs.type === 'EPSG') return normalizeCrsName(crs.properties?.code);
+  return null;
+};
+
+/**
+ * 🔎 判斷座標系統是否為 WGS84 經緯度
+ * @param {string} source - 座標系統
+ * @returns {boolean}
+ */
+export const isWgs84 = (source) => WGS84_CODES.includes(normalizeCrsName(source));
+
+/**
+ * 🧭 建立轉換到 WGS84 經緯度的函數
+ *
+ * @param {string|number} source - EPSG 代碼、OGC URN、PROJ 字串（+proj=...）或 WKT
+ * @returns {Function} ([x, y]) => [經度, 緯度]
+ * @throws {Error} proj4 無法辨識來源座標系統時
+ *
+ * @example
+ * const toWgs84 = createTransformer('EPSG:3826');
+ * toWgs84([250000, 2650000]); // 約 [121, 23.95]
+ */
+export const createTransformer = (source) => {
+  const text = String(source ?? '').trim();
+  const code = normalizeCrsName(text);
+
+  // UTM 分帶（EPSG:326xx 北半球、327xx 南半球）依代碼產生定義
+  const utm = code?.match(/^EPSG:32([67])(\d{2})$/);
+  if (utm && !proj4.defs(code)) {
+    const south = utm[1] === '7' ? ' +south' : '';
+    proj4.defs(code, `+proj=utm +zone=${Number(utm[2])}${south} +datum=WGS84 +units=m +no_defs`);
+  }
+
+  const definition = code === 'CRS84' ? 'EPSG:4326' : code || text;
+  let converter;
+  try {
+    converter = proj4(definition, 'EPSG:4326');
+  } catch (error) {
+    throw new Error(`無法辨識的座標參考系統: ${text}（請輸入 EPSG 代碼或 PROJ 字串）`);
+  }
+  return (coordinates) => converter.forward(coordinates.slice(0, 2));
+};
+
+/**
+ * 🔁 轉換座標陣列（支援任意巢狀深度）
+ */
+const mapCoordinates = (coordinates, transform) =>
+  typeof coordinates[0] === 'number'
+    ? transform(coordinates)
+    : coordinates.map((item) => mapCoordinates(item, transform));
+
+const reprojectGeometry = (geometry, transform) => {
+  if (!geometry) return geometry;
+  if (geometry.type === 'GeometryCollection') {
+    return {
+      ...geometry,
+      geometries: geometry.geometries.map((item) => reprojectGeometry(item, transform)),
+    };
+  }
+  return { ...geometry, coordinates: mapCoordinates(geometry.coordinates, transform) };
+};
+
+/**
+ * 🧭 將 FeatureCollection 轉換為 WGS84 經緯度
+ * @param {Object} geojson - FeatureCollection
+ * @param {string|number} source - 來源座標系統
+ * @returns {Object} 轉換後的 FeatureCollection（不含 crs 成員）
+ * @throws {Error} 無法辨識來源座標系統時
+ */
+export const reprojectGeoJSON = (geojson, source) => {
+  const transform = createTransformer(source);
+  return {
+    type: 'FeatureCollection',
+    features: geojson.features.map((feature) => ({
+      ...feature,
+      geometry: reprojectGeometry(feature.geometry, transform),
+    })),
+  };
+};
+
+/**
+ * 📐 檢查所有座標是否落在經緯度範圍內
+ * 用來判斷沒有宣告座標系統的資料是否其實是投影座標
+ * @param {Object} geojson - FeatureCollection
+ * @returns {boolean}
+ */
+export const isLonLatRange = (geojson) => {
+  let valid = true;
+  const check = ([x, y]) => {
+    if (!(Math.abs(x) <= 180.5 && Math.abs(y) <= 90.5)) valid = false;
+    return [x, y];
+  };
+  geojson.features.forEach((feature) => {
+    if (valid) reprojectGeometry(feature.geometry, check);
+  });
+  return valid;
+};
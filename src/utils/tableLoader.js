@@ -0,0 +1,211 @@
+/**
+ * 📊 表格點資料載入工具 (Tabular Point Data Loader)
+ *
+ * 將 CSV / Excel 表格解析為點圖徵，並建立比例符號或類別符號的樣式。
+ * 主要功能：
+ * - 以 xlsx 讀取 CSV、XLSX、XLS（取第一個工作表，第一列為欄位名稱）
+ * - 依欄位名稱猜測經度、緯度、數值、類別與名稱欄位
+ * - 驗證每一列的經緯度與數值，回傳 GeoJSON Point 與逐列錯誤
+ * - 比例符號（圓面積與數值成正比）與類別符號（依類別配色）
+ */
+
+import { read, utils } from 'xlsx';
+import { scaleOrdinal, scaleSqrt, schemeTableau10 } from 'd3';
+
+// 支援的副檔名
+export const TABLE_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+// 符號模式
+export const SYMBOL_MODES = {
+  simple: '單一符號',
+  proportional: '比例符號',
+  categorical: '類別符號',
+};
+
+// 比例符號的最大半徑與單一符號的半徑（像素）
+const MAX_SYMBOL_RADIUS = 16;
+const SIMPLE_SYMBOL_RADIUS = 4;
+
+// 逐列錯誤最多回報的筆數，其餘只計數
+const MAX_REPORTED_ERRORS = 20;
+
+// 欄位名稱猜測規則（不分大小寫，比對整個欄位名稱）
+const COLUMN_PATTERNS = {
+  lon: /^(lon|lng|long|longitude|x|經度)$/i,
+  lat: /^(lat|latitude|y|緯度)$/i,
+  label: /^(name|title|label|city|名稱|地名|城市)$/i,
+};
+
+/**
+ * 🔎 判斷檔案是否為表格
+ * @param {File} file - 使用者選取或拖放的檔案
+ * @returns {boolean}
+ */
+export const isTableFile = (file) =>
+  TABLE_EXTENSIONS.some((extension) => file.name.toLowerCase().endsWith(extension));
+
+/**
+ * 📂 解析表格檔案
+ *
+ * @param {File} file - CSV 或 Excel 檔案
+ * @returns {Promise<{name: string, columns: Array<string>, rows: Array<Object>}>}
+ *   名稱（檔名去除副檔名）、欄位名稱與每一列的資料（以欄位名稱為鍵）
+ * @throws {Error} 無法解析或沒有任何資料列時
+ */
+export const parseTableFile = async (file) => {
+  let workbook;
+  try {
+    // CSV 以文字讀取，讓 UTF-8 中文欄位名稱不會被當成其他編碼
+    workbook = file.name.toLowerCase().endsWith('.csv')
+      ? read(await file.text(), { type: 'string' })
+      : read(await file.arrayBuffer(), { type: 'array' });
+  } catch (error) {
+    throw new Error(`${file.name} 無法解析為表格（${error.message}）`);
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? utils.sheet_to_json(sheet, { defval: '', raw: true }) : [];
+  if (!rows.length) {
+    throw new Error(`${file.name} 沒有任何資料列`);
+  }
+
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const name = file.name.replace(/\.[^.]+$/, '');
+  return { name, columns, rows };
+};
+
+/**
+ * 🧭 依欄位名稱猜測欄位對應
+ * 數值欄位取第一個非經緯度的數值欄，類別欄位取第一個文字欄
+ * @param {Array<string>} columns - 欄位名稱
+ * @param {Array<Object>} rows - 資料列（用來判斷欄位型別）
+ * @returns {{lon: string, lat: string, value: string, category: string, label: string}}
+ *   找不到對應欄位時為空字串
+ */
+export const guessColumnMapping = (columns, rows) => {
+  const find = (pattern) => columns.find((column) => pattern.test(column.trim())) || '';
+  const lon = find(COLUMN_PATTERNS.lon);
+  const lat = find(COLUMN_PATTERNS.lat);
+  const label = find(COLUMN_PATTERNS.label);
+
+  const sample = rows.slice(0, 20);
+  const isNumeric = (column) =>
+    sample.every((row) => row[column] === '' || Number.isFinite(Number(row[column])));
+  const others = columns.filter((column) => ![lon, lat, label].includes(column));
+
+  return {
+    lon,
+    lat,
+    value: others.find(isNumeric) || '',
+    category: others.find((column) => !isNumeric(column)) || '',
+    label,
+  };
+};
+
+const toNumber = (value) =>
+  typeof value === 'number' ? value : value === '' ? NaN : Number(String(value).trim());
+
+/**
+ * 📍 將資料列轉為點圖徵
+ *
+ * 經度超出 ±180、緯度超出 ±90、數值欄位不是非負數字的列都視為錯誤並略過。
+ * 錯誤列號以試算表的列號表示（第 1 列為欄位名稱）。
+ *
+ * @param {Array<Object>} rows - 資料列
+ * @param {Object} mapping - guessColumnMapping 格式的欄位對應；lon、lat 必填
+ * @returns {{features: Array<Object>, errors: Array<string>, errorCount: number}}
+ *   有效的 GeoJSON Point Feature（symbol 成員存放名稱、數值與類別）、
+ *   前 MAX_REPORTED_ERRORS 筆錯誤訊息與錯誤總數
+ * @throws {Error} 未指定經度或緯度欄位時
+ */
+export const buildPointFeatures = (rows, mapping) => {
+  if (!mapping.lon || !mapping.lat) {
+    throw new Error('請指定經度與緯度欄位');
+  }
+
+  const features = [];
+  const errors = [];
+  let errorCount = 0;
+  const reportError = (message) => {
+    errorCount += 1;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+  };
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const lon = toNumber(row[mapping.lon]);
+    const lat = toNumber(row[mapping.lat]);
+
+    if (!Number.isFinite(lon) || Math.abs(lon) > 180) {
+      reportError(`第 ${rowNumber} 列：經度無效（${row[mapping.lon]}）`);
+      return;
+    }
+    if (!Number.isFinite(lat) || Math.abs(lat) > 90) {
+      reportError(`第 ${rowNumber} 列：緯度無效（${row[mapping.lat]}）`);
+      return;
+    }
+
+    // 數值欄位空白視為無資料（比例符號畫成最小的圓），非數字或負數才是錯誤
+    let value = null;
+    if (mapping.value && row[mapping.value] !== '') {
+      value = toNumber(row[mapping.value]);
+      if (!Number.isFinite(value) || value < 0) {
+        reportError(`第 ${rowNumber} 列：${mapping.value} 不是非負數值（${row[mapping.value]}）`);
+        return;
+      }
+    }
+
+    features.push({
+      type: 'Feature',
+      properties: { ...row },
+      // 符號使用的欄位另外存放，避免與原始欄位名稱衝突
+      symbol: {
+        label: mapping.label ? String(row[mapping.label]) : '',
+        value,
+        category: mapping.category ? String(row[mapping.category]) : '',
+      },
+      geometry: { type: 'Point', coordinates: [lon, lat] },
+    });
+  });
+
+  return { features, errors, errorCount };
+};
+
+/**
+ * 🎨 建立點符號樣式
+ *
+ * 比例符號以平方根比例尺讓圓面積與數值成正比；類別符號依類別出現順序配色。
+ *
+ * @param {Array<Object>} features - buildPointFeatures 產生的點圖徵
+ * @param {Object} symbol
+ * @param {string} symbol.mode - SYMBOL_MODES 的鍵值
+ * @param {string} symbol.fill - 單一與比例符號的填色
+ * @returns {{radius: Function, fill: Function, categories: Array<{name: string, color: string}>}}
+ *   radius(feature) 與 fill(feature) 回傳像素半徑與顏色；categories 為類別符號的圖例
+ */
+export const createPointSymbols = (features, { mode, fill }) => {
+  if (mode === 'proportional') {
+    const max = Math.max(0, ...features.map((feature) => feature.symbol.value ?? 0));
+    const radius = scaleSqrt()
+      .domain([0, max || 1])
+      .range([0, MAX_SYMBOL_RADIUS]);
+    return {
+      // 數值為 0 的點仍畫出最小的圓，避免資料消失
+      radius: (feature) => Math.max(1.5, radius(feature.symbol.value ?? 0)),
+      fill: () => fill,
+      categories: [],
+    };
+  }
+
+  if (mode === 'categorical') {
+    const names = [...new Set(features.map((feature) => feature.symbol.category))];
+    const color = scaleOrdinal(schemeTableau10).domain(names);
+    return {
+      radius: () => SIMPLE_SYMBOL_RADIUS + 1,
+      fill: (feature) => color(feature.symbol.category),
+      categories: names.map((name) => ({ name: name || '（空白）', color: color(name) })),
+    };
+  }
+
+  return { radius: () => SIMPLE_SYMBOL_RADIUS, fill: () => fill, categories: [] };
+};
@@ -0,0 +1,211 @@
+/**
+ * 🔗 網址狀態工具 (URL State Utilities)
+ *
+ * 將地圖狀態編碼為網址查詢參數，讓分享的連結能開啟相同的地圖；載入時再解碼還原。
+ * 所有欄位都是選用的，解碼時忽略無效的值。本機載入的使用者圖層無法放進網址。
+ *
+ * 查詢參數：
+ * - p: 投影 ID
+ * - c: 地圖中心（預設中心名稱，或「經度,緯度,γ」）
+ * - r: 拖曳後的旋轉「λ,φ,γ」
+ * - v: 檢視模式（焦點檢視時為 focus，世界地圖時省略）
+ * - f: 焦點目標（「region:CONTINENT:Asia」或「bbox:西,南,東,北」；突顯國家時省略）
+ * - h: 突顯國家代碼，以逗號分隔（只在以突顯國家為焦點時出現）
+ * - pp: 覆寫的投影參數（「parallels:20,60;clipAngle:90」，控制點依序攤平為經緯度）
+ * - l: 開啟的圖層（graticule、tissot、guides）
+ * - m: 繪製模式（area、angular、choropleth；國家填色時省略）
+ * - ch: 面量圖設定（「屬性,分級方法,級數,色帶」，只在面量圖模式出現）
+ */
+
+import { normalizeCenter } from './utils.js';
+import { getProjectionParameters, sanitizeProjectionParameters } from './projectionRegistry.js';
+import { normalizeFocusTarget } from './region.js';
+import { CHOROPLETH_ATTRIBUTES, CLASSIFICATION_METHODS, COLOR_RAMPS } from './choropleth.js';
+
+// 網址可指定的預設中心名稱
+export const CENTER_MODES = ['origin', 'taiwan', 'lon120', 'focus'];
+
+// 網址可開啟的圖層
+export const URL_LAYERS = ['graticule', 'tissot', 'guides'];
+
+const RENDER_MODES = ['area', 'angular', 'choropleth'];
+
+const formatNumber = (value) => String(Math.round(value * 10000) / 10000);
+const formatList = (values) => values.map(formatNumber).join(',');
+
+const parseNumbers = (text) => {
+  const values = String(text ?? '')
+    .split(',')
+    .map((item) => (item.trim() === '' ? NaN : Number(item)));
+  return values.every(Number.isFinite) ? values : null;
+};
+
+/**
+ * 🧾 編碼投影參數
+ * @param {Object} params - 覆寫的投影參數
+ * @returns {string} 例如 'parallels:20,60;clipAngle:90'；沒有參數時為空字串
+ */
+const encodeProjectionParams = (params) =>
+  Object.entries(params || {})
+    .map(([key, value]) => {
+      const values = Array.isArray(value) ? value.flat() : [value];
+      return values.every(Number.isFinite) ? `${key}:${formatList(values)}` : null;
+    })
+    .filter(Boolean)
+    .join(';');
+
+/**
+ * 🧾 解碼投影參數
+ * 依投影註冊表的參數描述還原陣列形狀，並經 sanitizeProjectionParameters 驗證
+ * @param {string} text - encodeProjectionParams 的結果
+ * @param {string} projectionId - 投影 ID
+ * @returns {Object} 有效的參數
+ */
+const decodeProjectionParams = (text, projectionId) => {
+  const parameters = getProjectionParameters(projectionId);
+  const params = {};
+  String(text || '')
+    .split(';')
+    .forEach((entry) => {
+      const [key, valueText] = entry.split(':');
+      const parameter = parameters.find((item) => item.key === key);
+      const values = parseNumbers(valueText);
+      if (!parameter || !values) return;
+      if (parameter.kind === 'points') {
+        params[key] = Array.from({ length: Math.floor(values.length / 2) }, (_, index) =>
+          values.slice(index * 2, index * 2 + 2)
+        );
+      } else {
+        params[key] = parameter.size ? values : values[0];
+      }
+    });
+  return sanitizeProjectionParameters(projectionId, params);
+};
+
+const encodeFocusTarget = (target) => {
+  if (target?.type === 'region') return `region:${target.key}:${target.value}`;
+  if (target?.type === 'bbox') return `bbox:${formatList(target.bounds.flat())}`;
+  return '';
+};
+
+const decodeFocusTarget = (text) => {
+  const [type, ...rest] = String(text || '').split(':');
+  if (type === 'region') {
+    return normalizeFocusTarget({ type, key: rest[0], value: rest.slice(1).join(':') });
+  }
+  if (type === 'bbox') {
+    const values = parseNumbers(rest.join(':'));
+    if (!values || values.length !== 4) return null;
+    return normalizeFocusTarget({ type, bounds: [values.slice(0, 2), values.slice(2)] });
+  }
+  return null;
+};
+
+/**
+ * 🔗 將地圖狀態編碼為查詢參數
+ *
+ * @param {Object} state
+ * @param {string} state.projection - 投影 ID
+ * @param {string|Array<number>} state.center - 預設中心名稱或 [經度, 緯度, γ]
+ * @param {Array<number>|null} [state.rotation] - 拖曳後的旋轉 [λ, φ, γ]
+ * @param {string} state.viewMode - 'world' 或 'focus'
+ * @param {Object} state.focusTarget - 焦點目標（見 utils/region.js）
+ * @param {Array<string>} [state.highlightCodes] - 突顯國家代碼
+ * @param {Object} [state.params] - 覆寫的投影參數
+ * @param {Array<string>} [state.layers] - 開啟的圖層（URL_LAYERS 的值）
+ * @param {string} [state.renderMode] - 'countries'、'distortion' 或 'choropleth'
+ * @param {Object} [state.choropleth] - { attribute, method, classes, ramp }
+ * @returns {Object} 查詢參數（值皆為字串，固定鍵值順序，省略預設值）
+ */
+export const encodeMapState = (state) => {
+  const query = {};
+  if (state.projection) query.p = state.projection;
+  if (Array.isArray(state.center)) {
+    query.c = formatList(state.center);
+  } else if (state.center && state.center !== 'origin') {
+    query.c = state.center;
+  }
+  if (state.rotation) query.r = formatList(state.rotation);
+  if (state.viewMode === 'focus') {
+    query.v = 'focus';
+    const focus = encodeFocusTarget(state.focusTarget);
+    if (focus) query.f = focus;
+    else if (state.highlightCodes?.length) query.h = state.highlightCodes.join(',');
+  }
+  const params = encodeProjectionParams(state.params);
+  if (params) query.pp = params;
+  if (state.layers?.length) query.l = state.layers.join(',');
+  if (RENDER_MODES.includes(state.renderMode)) {
+    query.m = state.renderMode;
+    if (state.renderMode === 'choropleth' && state.choropleth) {
+      const { attribute, method, classes, ramp } = state.choropleth;
+      query.ch = [attribute, method, classes, ramp].join(',');
+    }
+  }
+  return query;
+};
+
+/**
+ * 🔗 從查詢參數解碼地圖狀態
+ *
+ * @param {Object} query - 路由的查詢參數（重複的鍵值取第一個）
+ * @returns {Object} encodeMapState 格式的狀態；缺少或無效的欄位為 null 或預設值
+ *   （世界地圖、突顯國家焦點、無參數、無圖層、國家填色）
+ */
+export const decodeMapState = (query) => {
+  const read = (key) => {
+    const value = query?.[key];
+    return Array.isArray(value) ? (value[0] ?? null) : (value ?? null);
+  };
+
+  const projection = read('p');
+  const centerText = read('c');
+  let center = null;
+  if (CENTER_MODES.includes(centerText)) {
+    center = centerText;
+  } else if (centerText) {
+    const values = parseNumbers(centerText);
+    center = values && values.length >= 2 ? normalizeCenter(values) : null;
+  }
+
+  const rotation = parseNumbers(read('r'));
+  const [attribute, method, classes, ramp] = String(read('ch') || '').split(',');
+  const choropleth =
+    Object.hasOwn(CHOROPLETH_ATTRIBUTES, attribute) &&
+    Object.hasOwn(CLASSIFICATION_METHODS, method) &&
+    Object.hasOwn(COLOR_RAMPS, ramp) &&
+    Number.isInteger(Number(classes))
+      ? { attribute, method, classes: Number(classes), ramp }
+      : null;
+
+  return {
+    projection,
+    center,
+    rotation: rotation?.length === 3 ? rotation : null,
+    viewMode: read('v') === 'focus' ? 'focus' : 'world',
+    focusTarget: decodeFocusTarget(read('f')) || { type: 'countries' },
+    highlightCodes: read('h') ? read('h').split(',').filter(Boolean) : null,
+    params: projection ? decodeProjectionParams(read('pp'), projection) : {},
+    layers: String(read('l') || '')
+      .split(',')
+      .filter((layer) => URL_LAYERS.includes(layer)),
+    renderMode: RENDER_MODES.includes(read('m')) ? read('m') : 'countries',
+    choropleth,
+  };
+};
+
+/**
+ * 🔁 比較兩組查詢參數是否相同（忽略鍵值順序）
+ * @param {Object} a - 查詢參數
+ * @param {Object} b - 查詢參數
+ * @returns {boolean}
+ */
+export const isSameQuery = (a, b) => {
+  const normalize = (query) =>
+    JSON.stringify(
+      Object.keys(query || {})
+        .sort()
+        .map((key) => [key, String(query[key])])
+    );
+  return normalize(a) === normalize(b);
+};
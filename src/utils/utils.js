@@ -0,0 +1,28 @@
+/**
+ * 🧰 共用工具函數 (Shared Utilities)
+ *
+ * 放置多個組件與存儲模組共用、且不依賴 Vue 或 D3 的小型工具函數。
+ */
+
+// 台灣地理中心 [經度, 緯度]（23°58′25.9486″N, 120°58′55.2886″E）
+export const TAIWAN_CENTER = [120.9820246, 23.9738747];
+
+/**
+ * 🎯 正規化地圖中心
+ *
+ * 經度換算到 [-180, 180]、緯度限制在 [-90, 90]、γ 換算到 [-180, 180]。
+ *
+ * @param {Array<number>} center - [經度, 緯度, γ]，γ 可省略（預設 0）
+ * @returns {Array<number>|null} 正規化後的 [經度, 緯度, γ]；輸入不是有效數字時回傳 null
+ *
+ * @example
+ * normalizeCenter([200, 95]); // [-160, 90, 0]
+ */
+export const normalizeCenter = (center) => {
+  if (!Array.isArray(center) || center.length < 2) return null;
+  const [lon, lat, gamma = 0] = center.map(Number);
+  if (![lon, lat, gamma].every(Number.isFinite)) return null;
+
+  const wrap = (degrees) => ((((degrees + 180) % 360) + 360) % 360) - 180;
+  return [wrap(lon), Math.max(-90, Math.min(90, lat)), wrap(gamma)];
+};